@@ -1,14 +1,114 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { ethers } from 'ethers';
-import { lendingCircleAddress, lendingCircleAbi, mockStakeTokenAddress, mockStakeTokenAbi } from './contract';
+import { getDeployment, staleContracts, supportedChains } from './contract';
+import { fetchMetadata } from './metadata';
+import { describeError, transactionUrl } from './transactions';
 import './App.css';
 
+// How many catalog entries to fetch per page
+const CATALOG_PAGE_SIZE = 10;
+
+// How many of the factory's circles to fetch per page
+const CIRCLE_PAGE_SIZE = 20;
+
+// LendingCircleBase.ResourceType values
+const RESOURCE_TYPES = ['Physical', 'Digital'];
+
+// LendingCircleBase.MembershipMode values
+const MEMBERSHIP_MODES = ['Open', 'Allowlist', 'Merkle invites'];
+
+// Penalties.Model values in LendingCircle
+const PENALTY_MODELS = ['Linear', 'Tiered', 'Exponential'];
+
+// Borrowed items due within this many seconds are flagged
+const DUE_SOON_SECONDS = 24 * 60 * 60;
+
+// Confirmed transactions drop out of the toast list after this many milliseconds
+const TOAST_DISMISS_MS = 6000;
+
+// Ways to order the catalog, by the key kept in catalogFilter.sort
+const CATALOG_SORTS = {
+  listed: { label: 'Newest first', compare: (a, b) => Number(b.id) - Number(a.id) },
+  stake: { label: 'Lowest stake', compare: (a, b) => a.stake - b.stake },
+  duration: { label: 'Longest borrow period', compare: (a, b) => Number(b.borrowDuration) - Number(a.borrowDuration) },
+  popularity: { label: 'Most borrowed', compare: (a, b) => b.borrows - a.borrows },
+};
+
+// Formats a number of seconds as e.g. "2d 03h 04m 05s"
+const formatDuration = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${days > 0 ? `${days}d ` : ''}${pad(Math.floor((seconds % 86400) / 3600))}h ${pad(Math.floor((seconds % 3600) / 60))}m ${pad(seconds % 60)}s`;
+};
+
+// The fields of a resource the catalog and the admin list show
+const summarizeResource = (details) => ({
+  id: details.id.toString(),
+  name: details.name,
+  resourceType: Number(details.resourceType),
+  category: details.category,
+  currentBorrowerCount: Number(details.currentBorrowerCount),
+  maxConcurrentBorrows: Number(details.maxConcurrentBorrows),
+  stakeAmount: details.stakeAmount,
+  borrowDuration: details.borrowDuration.toString(),
+  latePenalty: details.latePenaltyPerDay,
+  onTimeReward: details.onTimeReward,
+  metadataURI: details.metadataURI,
+  active: details.active,
+  stakeToken: details.stakeToken,
+});
+
+// The paged catalog views read a bounded number of index entries per call,
+// so a page can come back short or empty. Reads on until CATALOG_PAGE_SIZE
+// IDs are collected or the index runs out, and returns them with the next cursor.
+const collectPage = async (readPage, cursor) => {
+  const ids = [];
+  let next = cursor;
+  do {
+    const [page, nextCursor] = await readPage(next);
+    ids.push(...page);
+    next = Number(nextCursor);
+  } while (next > 0 && ids.length < CATALOG_PAGE_SIZE);
+  return [ids, next];
+};
+
+// Replaces, adds or drops one resource in a loaded list; a null item drops it.
+// A list with pages still to load only gains it from those pages, so it is
+// never shown twice.
+const patchList = (list, id, item, fullyLoaded) => {
+  if (list.some((entry) => entry.id === id)) {
+    return item ? list.map((entry) => (entry.id === id ? item : entry)) : list.filter((entry) => entry.id !== id);
+  }
+  return item && fullyLoaded ? [...list, item] : list;
+};
+
 function App() {
   const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  // This chain's entry in deployments.json, null when nothing is deployed there
+  const [deployment, setDeployment] = useState(null);
+  const [signer, setSigner] = useState(null);
   const [contract, setContract] = useState(null);
+  const [factory, setFactory] = useState(null);
+  // Every circle comes from the factory's registry; the deployment's own LendingCircle is shown first
+  const [circles, setCircles] = useState([]);
+  // How many circles the registry holds, so the picker knows when more are left
+  const [circleCount, setCircleCount] = useState(0);
+  const [circleAddress, setCircleAddress] = useState('');
+  const [newCircle, setNewCircle] = useState({ name: '', stakeToken: '', admin: '' });
   const [tokenContract, setTokenContract] = useState(null);
-  const [availableResources, setAvailableResources] = useState([]);
   const [borrowedResources, setBorrowedResources] = useState([]);
+  // The catalog is read a page at a time from the contract's availability and
+  // full-resource indexes; each cursor is 0 once its last page is loaded
+  const [availableResources, setAvailableResources] = useState([]);
+  const [availableCursor, setAvailableCursor] = useState(0);
+  const [fullResources, setFullResources] = useState([]);
+  // Cursor for the next page of full resources; 0 once the last page is loaded
+  const [fullCursor, setFullCursor] = useState(0);
+  const [catalogType, setCatalogType] = useState('all');
+  // The rest of the catalog's search and filters, applied in the browser to the loaded pages
+  const [catalogFilter, setCatalogFilter] = useState({ search: '', category: 'all', maxStake: '', sort: 'listed' });
+  const [now, setNow] = useState(Math.floor(Date.now() / 1000));
   const [resourceName, setResourceName] = useState('');
   const [stakeAmount, setStakeAmount] = useState('');
   const [latePenalty, setLatePenalty] = useState('');
@@ -17,57 +117,401 @@ function App() {
   const [resourceType, setResourceType] = useState(1);
   const [maxBorrows, setMaxBorrows] = useState('');
   const [metadataURI, setMetadataURI] = useState('');
-  const [rewardPool, setRewardPool] = useState('0');
+  const [resourceCategory, setResourceCategory] = useState('');
+  const [resourceToken, setResourceToken] = useState('');
+  const [stakeTokens, setStakeTokens] = useState([]);
+  const [rewardPools, setRewardPools] = useState({});
+  const [poolToken, setPoolToken] = useState('');
   const [depositAmount, setDepositAmount] = useState('');
   const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [redeemShares, setRedeemShares] = useState('');
+  const [shareRecipient, setShareRecipient] = useState('');
+  const [transferShares, setTransferShares] = useState('');
+  const [poolHistory, setPoolHistory] = useState([]);
+  const [allResources, setAllResources] = useState([]);
+  // Next resource ID offset for the curators' list; 0 once every resource is loaded
+  const [allCursor, setAllCursor] = useState(0);
+  const [editingResource, setEditingResource] = useState(null);
+  const [renewalPolicy, setRenewalPolicy] = useState(null);
+  const [penaltyCurve, setPenaltyCurve] = useState(null);
+  // The resource open in the detail view, with its metadata once fetched
+  const [selectedResource, setSelectedResource] = useState(null);
+  const [myListings, setMyListings] = useState([]);
+  const [myListingsCursor, setMyListingsCursor] = useState(0);
+  const [lenderEarnings, setLenderEarnings] = useState({});
+  const [lenderAddress, setLenderAddress] = useState('');
+  const [membership, setMembership] = useState({ mode: 0, root: ethers.ZeroHash, isMember: false, revoked: false });
+  const [inviteProof, setInviteProof] = useState('');
+  const [memberAddresses, setMemberAddresses] = useState('');
+  const [membershipForm, setMembershipForm] = useState({ mode: '0', root: '' });
+  const [borrowerProfile, setBorrowerProfile] = useState(null);
+  const [escrows, setEscrows] = useState([]);
+  const [roles, setRoles] = useState({});
+  const [roleAccount, setRoleAccount] = useState('');
+  const [selectedRole, setSelectedRole] = useState('CURATOR_ROLE');
+  const [newOwner, setNewOwner] = useState('');
+  const [pauseStatus, setPauseStatus] = useState({ paused: false, emergency: false });
+  const [evidenceURIs, setEvidenceURIs] = useState({});
+  const [damageAmounts, setDamageAmounts] = useState({});
+  // One toast per wallet request: pending, confirmed or failed
+  const [toasts, setToasts] = useState([]);
+  // Buttons stay disabled while any request is waiting on the wallet or the chain
+  const busy = toasts.some((toast) => toast.status === 'pending');
+
+  // Connects to the wallet's current account and chain. Access is only asked
+  // for when 'requestAccess' is set, so an already-authorised connection can
+  // be restored without a prompt.
+  const connect = async (requestAccess) => {
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    const accounts = await provider.send(requestAccess ? 'eth_requestAccounts' : 'eth_accounts', []);
+    if (accounts.length === 0) {
+      disconnect();
+      return;
+    }
+
+    const signer = await provider.getSigner();
+    const address = await signer.getAddress();
+    const network = await provider.getNetwork();
+    const deployment = getDeployment(network.chainId);
+    setAccount(address);
+    setChainId(Number(network.chainId));
+    setDeployment(deployment);
+    if (!deployment) {
+      // Nothing to talk to here; the banner offers to switch networks
+      setSigner(null);
+      setContract(null);
+      setFactory(null);
+      return;
+    }
+
+    const { LendingCircle, LendingCircleFactory, MockStakeToken } = deployment.contracts;
+    setSigner(signer);
+    setTokenContract(new ethers.Contract(MockStakeToken.address, MockStakeToken.abi, signer));
+    // Switching accounts keeps the circle that is open
+    setCircleAddress((current) => current || LendingCircle.address);
+    setNewCircle({ name: '', stakeToken: MockStakeToken.address, admin: '' });
+    setFactory(
+      LendingCircleFactory
+        ? new ethers.Contract(LendingCircleFactory.address, LendingCircleFactory.abi, signer)
+        : null
+    );
+  };
+
+  // Forgets the account once the wallet no longer shares one
+  const disconnect = () => {
+    setAccount(null);
+    setSigner(null);
+    setContract(null);
+    setFactory(null);
+    setBorrowedResources([]);
+    setMyListings([]);
+    setLenderEarnings({});
+    setBorrowerProfile(null);
+    setEscrows([]);
+    setRoles({});
+    setPoolHistory([]);
+  };
 
   const connectWallet = async () => {
     if (window.ethereum) {
       try {
-        const provider = new ethers.BrowserProvider(window.ethereum);
-        await provider.send("eth_requestAccounts", []);
-        const signer = await provider.getSigner();
-        const address = await signer.getAddress();
-        const contract = new ethers.Contract(lendingCircleAddress, lendingCircleAbi, signer);
-        const tokenContract = new ethers.Contract(mockStakeTokenAddress, mockStakeTokenAbi, signer);
-        setAccount(address);
-        setContract(contract);
-        setTokenContract(tokenContract);
+        await connect(true);
       } catch (error) {
-        console.error('Error connecting to wallet:', error);
+        showError('Error connecting to wallet', error);
       }
     } else {
       alert('Please install MetaMask!');
     }
   };
 
+  const switchNetwork = async (targetChainId) => {
+    try {
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: ethers.toQuantity(targetChainId) }],
+      });
+    } catch (error) {
+      showError('Error switching network', error);
+    }
+  };
+
+  // Any ERC-20 works as a stake token; the mock token's ABI covers what we call
+  const tokenAbi = () => deployment.contracts.MockStakeToken.abi;
+
+  // Each resource takes stakes in its own token, so amounts are kept raw
+  // and only formatted with the token's decimals when rendered.
+  const updateToast = (id, changes) =>
+    setToasts((current) => current.map((toast) => (toast.id === id ? { ...toast, ...changes } : toast)));
+  const dismissToast = (id) => setToasts((current) => current.filter((toast) => toast.id !== id));
+
+  // Shows a failure that happened outside runTransaction, such as a read that
+  // could not load or input that could not be parsed, as a failed toast.
+  // A repeat of the same failure replaces the toast instead of stacking up.
+  const showError = (label, error) => {
+    console.error(`${label}:`, error);
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts((current) => [
+      ...current.filter((toast) => toast.label !== label || toast.status !== 'failed'),
+      { id, label, status: 'failed', message: typeof error === 'string' ? error : describeError(error) },
+    ]);
+  };
+
+  // Sends one wallet request and tracks it in a toast until it is mined.
+  // 'send' returns either a transaction or, for signatures, the result itself.
+  // Failures are shown decoded and then rethrown so the caller stops.
+  const runTransaction = async (label, send) => {
+    const id = `${Date.now()}-${Math.random()}`;
+    setToasts((current) => [...current, { id, label, status: 'pending', message: 'Confirm in your wallet…' }]);
+    try {
+      const result = await send();
+      if (typeof result?.wait !== 'function') {
+        updateToast(id, { status: 'confirmed', message: 'Signed' });
+        setTimeout(() => dismissToast(id), TOAST_DISMISS_MS);
+        return result;
+      }
+
+      updateToast(id, { hash: result.hash, message: 'Waiting for confirmation…' });
+      const receipt = await result.wait();
+      updateToast(id, { status: 'confirmed', message: `Confirmed in block ${receipt.blockNumber}` });
+      setTimeout(() => dismissToast(id), TOAST_DISMISS_MS);
+      return receipt;
+    } catch (error) {
+      updateToast(id, { status: 'failed', message: describeError(error) });
+      throw error;
+    }
+  };
+
+  const tokenInfo = (address) =>
+    stakeTokens.find((token) => token.address.toLowerCase() === address.toLowerCase())
+    || { address, symbol: '?', decimals: 18 };
+  const formatToken = (amount, address) =>
+    `${ethers.formatUnits(amount, tokenInfo(address).decimals)} ${tokenInfo(address).symbol}`;
+  const parseToken = (value, address) => ethers.parseUnits(value, tokenInfo(address).decimals);
+  const erc20 = (address) => new ethers.Contract(address, tokenAbi(), contract.runner);
+
+  // Signs an EIP-2612 permit for the LendingCircle to spend 'amount' of a token.
+  // Returns null when the token does not support permits, so callers can fall
+  // back to approve().
+  const signPermit = async (tokenAddress, amount) => {
+    const token = erc20(tokenAddress);
+    let domain;
+    let nonce;
+    try {
+      const { name, version, chainId, verifyingContract } = await token.eip712Domain();
+      domain = { name, version, chainId, verifyingContract };
+      nonce = await token.nonces(account);
+    } catch {
+      return null;
+    }
+
+    const deadline = Math.floor(Date.now() / 1000) + 60 * 60;
+    const signature = await runTransaction(`Sign ${tokenInfo(tokenAddress).symbol} permit`, () => contract.runner.signTypedData(
+      domain,
+      {
+        Permit: [
+          { name: 'owner', type: 'address' },
+          { name: 'spender', type: 'address' },
+          { name: 'value', type: 'uint256' },
+          { name: 'nonce', type: 'uint256' },
+          { name: 'deadline', type: 'uint256' },
+        ],
+      },
+      { owner: account, spender: circleAddress, value: amount, nonce, deadline }
+    ));
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { deadline, v, r, s };
+  };
+
+  const getStakeTokens = async () => {
+    if (contract) {
+      try {
+        const addresses = await contract.getStakeTokens();
+        const tokens = await Promise.all(
+          addresses.map(async (address) => {
+            const token = new ethers.Contract(address, tokenAbi(), contract.runner);
+            return {
+              address,
+              symbol: await token.symbol(),
+              decimals: Number(await token.decimals()),
+              allowed: await contract.allowedStakeTokens(address),
+            };
+          })
+        );
+        setStakeTokens(tokens);
+        const firstAllowed = tokens.find((token) => token.allowed);
+        if (firstAllowed) {
+          setResourceToken((current) => current || firstAllowed.address);
+          setPoolToken((current) => current || firstAllowed.address);
+        }
+      } catch (error) {
+        showError('Error fetching stake tokens', error);
+      }
+    }
+  };
+
   const getRewardPoolBalance = async () => {
     if (contract) {
       try {
-        const balance = await contract.rewardPool();
-        setRewardPool(ethers.formatEther(balance));
+        const addresses = await contract.getStakeTokens();
+        const balances = {};
+        for (const address of addresses) {
+          balances[address] = {
+            total: await contract.rewardPool(address),
+            free: await contract.freeRewardPool(address),
+            sharePrice: await contract.poolSharePrice(address),
+            myShares: await contract.poolShares(address, account),
+          };
+        }
+        setRewardPools(balances);
       } catch (error) {
-        console.error('Error fetching reward pool balance:', error);
+        showError('Error fetching reward pool balance', error);
       }
     }
   };
 
-  const getAvailableResources = async () => {
+  // Deposits, redemptions and share transfers involving the connected account
+  const getPoolHistory = async () => {
     if (contract) {
       try {
-        const resources = await contract.getAvailableResources();
+        const { PoolDeposited, PoolRedeemed, PoolSharesTransferred } = contract.filters;
+        const [deposits, redemptions, sent, received] = await Promise.all([
+          contract.queryFilter(PoolDeposited(null, account), deployment.deployBlock),
+          contract.queryFilter(PoolRedeemed(null, account), deployment.deployBlock),
+          contract.queryFilter(PoolSharesTransferred(null, account), deployment.deployBlock),
+          contract.queryFilter(PoolSharesTransferred(null, null, account), deployment.deployBlock),
+        ]);
+        // Mints and burns are already covered by the deposit and redemption events
+        const transfers = [...sent, ...received].filter(
+          (event) => event.args.from !== ethers.ZeroAddress && event.args.to !== ethers.ZeroAddress
+        );
+        const history = [
+          ...deposits.map((event) => ({ event, kind: 'Deposited', amount: event.args.amount, shares: event.args.shares })),
+          ...redemptions.map((event) => ({ event, kind: 'Redeemed', amount: event.args.amount, shares: event.args.shares })),
+          ...transfers.map((event) => ({
+            event,
+            kind: event.args.from.toLowerCase() === account.toLowerCase() ? `Sent to ${event.args.to}` : `Received from ${event.args.from}`,
+            shares: event.args.shares,
+          })),
+        ]
+          .sort((a, b) => b.event.blockNumber - a.event.blockNumber || b.event.index - a.event.index)
+          .map(({ event, ...entry }) => ({ ...entry, key: `${event.transactionHash}:${event.index}`, token: event.args.token }));
+        setPoolHistory(history);
+      } catch (error) {
+        showError('Error fetching reward pool history', error);
+      }
+    }
+  };
+
+  // Resources with a free slot are loaded a page at a time; cursor 0 starts over from the first page
+  const getAvailableResources = async (cursor = 0, type = catalogType) => {
+    if (contract) {
+      try {
+        const [resources, nextCursor] = await collectPage(
+          (from) => contract.getAvailableResourcesPage(from, CATALOG_PAGE_SIZE, type !== 'all', type === 'all' ? 0 : type),
+          cursor
+        );
+        const resourceDetails = await Promise.all(
+          resources.map(async (resourceId) => ({
+            ...summarizeResource(await contract.getResourceDetails(resourceId)),
+            borrows: Number(await contract.borrowCount(resourceId)),
+          }))
+        );
+        setAvailableResources((loaded) => (cursor === 0 ? resourceDetails : [...loaded, ...resourceDetails]));
+        setAvailableCursor(nextCursor);
+      } catch (error) {
+        showError('Error fetching available resources', error);
+      }
+    }
+  };
+
+  // Full resources are loaded the same way, with the account's place in each waitlist
+  const getFullResources = async (cursor = 0, type = catalogType) => {
+    if (contract) {
+      try {
+        const [resources, nextCursor] = await collectPage(
+          (from) => contract.getFullResourcesPage(from, CATALOG_PAGE_SIZE, type !== 'all', type === 'all' ? 0 : type),
+          cursor
+        );
         const resourceDetails = await Promise.all(
           resources.map(async (resourceId) => {
             const details = await contract.getResourceDetails(resourceId);
+            const position = await contract.getWaitlistPosition(resourceId, account);
+            const claimExpiry = await contract.claimExpiry(resourceId, account);
+            const borrows = await contract.borrowCount(resourceId);
             return {
-              id: details.id.toString(),
-              name: details.name,
+              ...summarizeResource(details),
+              borrows: Number(borrows),
+              position: Number(position),
+              claimExpiry: Number(claimExpiry),
             };
           })
         );
-        setAvailableResources(resourceDetails);
+        setFullResources((loaded) => (cursor === 0 ? resourceDetails : [...loaded, ...resourceDetails]));
+        setFullCursor(nextCursor);
       } catch (error) {
-        console.error('Error fetching available resources:', error);
+        showError('Error fetching full resources', error);
+      }
+    }
+  };
+
+  // Brings one resource up to date in every catalog list it belongs in, so a
+  // contract event costs one lookup instead of reloading whole lists.
+  // Returns the resource's details.
+  const refreshResource = async (resourceId) => {
+    const details = await contract.getResourceDetails(resourceId);
+    const id = details.id.toString();
+    const listed = details.active && (catalogType === 'all' || Number(details.resourceType) === Number(catalogType));
+    // Slots held for waitlist claims count as taken, as they do in the contract's indexes
+    const full = details.currentBorrowerCount + await contract.getReservedSlots(resourceId) >= details.maxConcurrentBorrows;
+    const catalogItem = { ...summarizeResource(details), borrows: Number(await contract.borrowCount(resourceId)) };
+
+    let fullItem = null;
+    if (listed && full) {
+      fullItem = {
+        ...catalogItem,
+        position: Number(await contract.getWaitlistPosition(resourceId, account)),
+        claimExpiry: Number(await contract.claimExpiry(resourceId, account)),
+      };
+    }
+
+    setAllResources((list) => patchList(list, id, summarizeResource(details), roles.curator && allCursor === 0));
+    setAvailableResources((list) => patchList(list, id, listed && !full ? catalogItem : null, availableCursor === 0));
+    setFullResources((list) => patchList(list, id, fullItem, fullCursor === 0));
+    setSelectedResource((current) => (current?.id === id ? { ...current, details } : current));
+    return details;
+  };
+
+  // Opens a resource's detail view: its on-chain terms straight away, then
+  // whatever its metadataURI points to
+  const openResource = async (resourceId) => {
+    if (contract) {
+      try {
+        const id = resourceId.toString();
+        const details = await contract.getResourceDetails(resourceId);
+        const borrow = await contract.activeBorrows(account, resourceId);
+        const curveId = await contract.penaltyCurveOf(resourceId);
+        const curve = curveId === 0n ? null : await contract.getPenaltyCurve(curveId);
+        setSelectedResource({
+          id,
+          details,
+          borrowing: borrow.isActive,
+          penaltyCurve: curve && { model: PENALTY_MODELS[Number(curve.model)], hourly: curve.unit === 3600n },
+          metadata: null,
+          metadataError: null,
+        });
+
+        if (details.metadataURI) {
+          // Another resource may have been opened while this one loaded
+          const update = (changes) =>
+            setSelectedResource((current) => (current?.id === id ? { ...current, ...changes } : current));
+          try {
+            update({ metadata: await fetchMetadata(details.metadataURI) });
+          } catch (error) {
+            update({ metadataError: error.message });
+          }
+        }
+      } catch (error) {
+        showError('Error fetching resource details', error);
       }
     }
   };
@@ -79,15 +523,328 @@ function App() {
         const resourceDetails = await Promise.all(
           resources.map(async (resourceId) => {
             const details = await contract.getResourceDetails(resourceId);
+            const borrow = await contract.activeBorrows(account, resourceId);
+            const policy = await contract.renewalPolicies(resourceId);
+            const preview = await contract.previewReturn(account, resourceId);
             return {
               id: details.id.toString(),
               name: details.name,
+              stakeToken: details.stakeToken,
+              preview,
+              // The reward is reserved at borrow time, or not at all if the pool was short
+              noReward: details.onTimeReward > 0n && borrow.onTimeReward === 0n,
+              deadline: Number(borrow.deadline),
+              renewalsLeft: Number(policy.maxRenewals) - Number(borrow.renewals),
+              extensionDuration: Number(policy.extensionDuration),
             };
           })
         );
         setBorrowedResources(resourceDetails);
       } catch (error) {
-        console.error('Error fetching borrowed resources:', error);
+        showError('Error fetching borrowed resources', error);
+      }
+    }
+  };
+
+  const getBorrowerProfile = async () => {
+    if (contract) {
+      try {
+        const [profile, tier, stakeDiscount, rewardBonus] = await contract.getBorrowerProfile(account);
+        const penaltiesPaid = [];
+        for (const token of await contract.getStakeTokens()) {
+          const amount = await contract.getPenaltiesPaid(account, token);
+          if (amount > 0n) penaltiesPaid.push({ token, amount });
+        }
+        setBorrowerProfile({
+          onTimeReturns: profile.onTimeReturns.toString(),
+          lateReturns: profile.lateReturns.toString(),
+          penaltiesPaid,
+          currentStreak: profile.currentStreak.toString(),
+          tier: Number(tier),
+          stakeDiscount: Number(stakeDiscount) / 100,
+          rewardBonus: Number(rewardBonus) / 100,
+        });
+      } catch (error) {
+        showError('Error fetching borrower profile', error);
+      }
+    }
+  };
+
+  const getEscrows = async () => {
+    if (contract) {
+      try {
+        // Every escrow starts with a RefundEscrowed event; read back the ones still open
+        const events = await contract.queryFilter(contract.filters.RefundEscrowed(), deployment.deployBlock);
+        const keys = [...new Set(events.map((event) => `${event.args.borrower}:${event.args.resourceId}`))];
+        const openEscrows = await Promise.all(
+          keys.map(async (key) => {
+            const [borrower, resourceId] = key.split(':');
+            const escrow = await contract.escrows(borrower, resourceId);
+            const details = await contract.getResourceDetails(resourceId);
+            return {
+              key,
+              borrower,
+              resourceId,
+              name: details.name,
+              lender: details.lender,
+              stakeToken: details.stakeToken,
+              amount: escrow.amount,
+              releaseTime: Number(escrow.releaseTime),
+              disputed: escrow.disputed,
+              disputeDeadline: Number(escrow.disputeDeadline),
+              evidenceURI: escrow.evidenceURI,
+            };
+          })
+        );
+        setEscrows(openEscrows.filter((escrow) => escrow.amount > 0n));
+      } catch (error) {
+        showError('Error fetching escrows', error);
+      }
+    }
+  };
+
+  const flagDamage = async (escrow) => {
+    if (contract) {
+      try {
+        await runTransaction('Flag damage', () => contract.flagDamage(escrow.borrower, escrow.resourceId, evidenceURIs[escrow.key] || ''));
+        getEscrows();
+      } catch (error) {
+        console.error('Error flagging damage:', error);
+      }
+    }
+  };
+
+  const resolveDispute = async (escrow) => {
+    if (contract) {
+      try {
+        await runTransaction('Resolve dispute', () => contract.resolveDispute(
+          escrow.borrower,
+          escrow.resourceId,
+          parseToken(damageAmounts[escrow.key] || '0', escrow.stakeToken)
+        ));
+        getEscrows();
+      } catch (error) {
+        console.error('Error resolving dispute:', error);
+      }
+    }
+  };
+
+  const releaseEscrow = async (escrow) => {
+    if (contract) {
+      try {
+        await runTransaction('Release escrow', () => contract.releaseEscrow(escrow.borrower, escrow.resourceId));
+        getEscrows();
+      } catch (error) {
+        console.error('Error releasing escrow:', error);
+      }
+    }
+  };
+
+  // Every resource, listed or not, for the curators' management list. Resource
+  // IDs run from 1 without gaps, so a page is the next CATALOG_PAGE_SIZE of them.
+  const getAllResources = async (cursor = 0) => {
+    if (contract && roles.curator) {
+      try {
+        const count = Number(await contract.getResourceCount());
+        const end = Math.min(cursor + CATALOG_PAGE_SIZE, count);
+        const resourceDetails = await Promise.all(
+          Array.from({ length: Math.max(end - cursor, 0) }, async (_, i) =>
+            summarizeResource(await contract.getResourceDetails(cursor + i + 1)))
+        );
+        setAllResources((loaded) => (cursor === 0 ? resourceDetails : [...loaded, ...resourceDetails]));
+        setAllCursor(end < count ? end : 0);
+      } catch (error) {
+        showError('Error fetching resources', error);
+      }
+    }
+  };
+
+  // A lender's listings are loaded a page at a time, like the catalog
+  const getMyListings = async (cursor = 0) => {
+    if (contract) {
+      try {
+        const count = Number(await contract.getLenderResourceCount(account));
+        const resources = await contract.getResourcesByLenderPage(account, cursor, CATALOG_PAGE_SIZE);
+        const resourceDetails = await Promise.all(
+          resources.map(async (resourceId) => {
+            const details = await contract.getResourceDetails(resourceId);
+            const earnings = await contract.resourceEarnings(resourceId);
+            return {
+              id: details.id.toString(),
+              name: details.name,
+              active: details.active,
+              stakeToken: details.stakeToken,
+              earnings,
+            };
+          })
+        );
+        setMyListings((loaded) => (cursor === 0 ? resourceDetails : [...loaded, ...resourceDetails]));
+        setMyListingsCursor(cursor + resources.length < count ? cursor + resources.length : 0);
+        const addresses = await contract.getStakeTokens();
+        const earnings = {};
+        for (const address of addresses) {
+          earnings[address] = await contract.lenderEarnings(account, address);
+        }
+        setLenderEarnings(earnings);
+      } catch (error) {
+        showError('Error fetching my listings', error);
+      }
+    }
+  };
+
+  const withdrawEarnings = async (tokenAddress) => {
+    if (contract) {
+      try {
+        await runTransaction(`Withdraw ${tokenInfo(tokenAddress).symbol} earnings`, () => contract.withdrawEarnings(tokenAddress));
+        getMyListings();
+      } catch (error) {
+        console.error('Error withdrawing earnings:', error);
+      }
+    }
+  };
+
+  // Works out which admin sections the connected wallet can use
+  const getRoles = async () => {
+    if (contract) {
+      try {
+        const isAccount = (address) => address.toLowerCase() === account.toLowerCase();
+        const hasRole = async (role) => contract.hasRole(await contract[role](), account);
+        setRoles({
+          owner: isAccount(await contract.owner()),
+          pendingOwner: isAccount(await contract.pendingOwner()),
+          admin: await hasRole('ADMIN_ROLE'),
+          curator: await hasRole('CURATOR_ROLE'),
+          treasurer: await hasRole('TREASURER_ROLE'),
+          pauser: await hasRole('PAUSER_ROLE'),
+          arbiter: isAccount(await contract.arbiter()),
+          lender: await contract.approvedLenders(account),
+        });
+      } catch (error) {
+        showError('Error fetching roles', error);
+      }
+    }
+  };
+
+  const changeRole = async (grant) => {
+    if (contract) {
+      try {
+        const role = await contract[selectedRole]();
+        await runTransaction(grant ? 'Grant role' : 'Revoke role', () => (grant
+          ? contract.grantRole(role, roleAccount)
+          : contract.revokeRole(role, roleAccount)));
+        setRoleAccount('');
+        getRoles();
+      } catch (error) {
+        console.error('Error changing role:', error);
+      }
+    }
+  };
+
+  const transferOwnership = async (e) => {
+    e.preventDefault();
+    if (contract) {
+      try {
+        await runTransaction('Transfer ownership', () => contract.transferOwnership(newOwner));
+        setNewOwner('');
+      } catch (error) {
+        console.error('Error transferring ownership:', error);
+      }
+    }
+  };
+
+  const acceptOwnership = async () => {
+    if (contract) {
+      try {
+        await runTransaction('Accept ownership', () => contract.acceptOwnership());
+        getRoles();
+      } catch (error) {
+        console.error('Error accepting ownership:', error);
+      }
+    }
+  };
+
+  const getMembership = async () => {
+    if (contract) {
+      try {
+        const mode = Number(await contract.membershipMode());
+        const root = await contract.membershipRoot();
+        setMembership({
+          mode,
+          root,
+          isMember: await contract.isMember(account),
+          revoked: await contract.membershipRevoked(account),
+        });
+        setMembershipForm({ mode: String(mode), root: root === ethers.ZeroHash ? '' : root });
+      } catch (error) {
+        showError('Error fetching membership', error);
+      }
+    }
+  };
+
+  // Accepts either the proof itself (a JSON array of hashes) or the whole
+  // file scripts/merkle.js writes, picking out this account's proof
+  const joinCircle = async (e) => {
+    e.preventDefault();
+    if (contract) {
+      try {
+        let invite;
+        try {
+          invite = JSON.parse(inviteProof);
+        } catch {
+          showError('Join circle', 'The invite is not valid JSON. Paste the whole invite file or your proof array.');
+          return;
+        }
+        let proof = invite;
+        if (!Array.isArray(invite)) {
+          const entry = Object.entries(invite.proofs || {})
+            .find(([address]) => address.toLowerCase() === account.toLowerCase());
+          if (!entry) {
+            showError('Join circle', 'This invite file has no proof for your address.');
+            return;
+          }
+          proof = entry[1];
+        }
+        await runTransaction('Join circle', () => contract.joinCircle(proof));
+        setInviteProof('');
+        getMembership();
+      } catch (error) {
+        console.error('Error joining circle:', error);
+      }
+    }
+  };
+
+  const setMembers = async (isMember) => {
+    if (contract) {
+      try {
+        const addresses = memberAddresses.split(/[\s,]+/).filter(Boolean);
+        await runTransaction(isMember ? 'Add members' : 'Remove members', () => contract.setMembers(addresses, isMember));
+        setMemberAddresses('');
+        getMembership();
+      } catch (error) {
+        console.error('Error changing members:', error);
+      }
+    }
+  };
+
+  const setMembershipMode = async (e) => {
+    e.preventDefault();
+    if (contract) {
+      try {
+        await runTransaction('Change membership mode', () => contract.setMembershipMode(membershipForm.mode, membershipForm.root || ethers.ZeroHash));
+        getMembership();
+      } catch (error) {
+        console.error('Error changing membership mode:', error);
+      }
+    }
+  };
+
+  const setLenderApproval = async (approved) => {
+    if (contract) {
+      try {
+        await runTransaction(approved ? 'Approve lender' : 'Revoke lender', () => contract.setLenderApproval(lenderAddress, approved));
+        setLenderAddress('');
+      } catch (error) {
+        console.error('Error changing lender approval:', error);
       }
     }
   };
@@ -96,17 +853,18 @@ function App() {
     e.preventDefault();
     if (contract) {
       try {
-        const tx = await contract.addResource(
+        await runTransaction(`List ${resourceName}`, () => contract.addResource(
           resourceName,
           resourceType,
           maxBorrows,
-          ethers.parseEther(stakeAmount),
+          parseToken(stakeAmount, resourceToken),
           borrowDuration,
-          ethers.parseEther(latePenalty),
-          ethers.parseEther(onTimeReward),
-          metadataURI
-        );
-        await tx.wait();
+          parseToken(latePenalty, resourceToken),
+          parseToken(onTimeReward, resourceToken),
+          metadataURI,
+          resourceToken,
+          resourceCategory
+        ));
         setResourceName('');
         setStakeAmount('');
         setLatePenalty('');
@@ -114,19 +872,135 @@ function App() {
         setBorrowDuration('');
         setMaxBorrows('');
         setMetadataURI('');
+        setResourceCategory('');
         getAvailableResources();
+        getMyListings();
       } catch (error) {
         console.error('Error adding resource:', error);
       }
     }
   };
 
+  const updateResource = async (e) => {
+    e.preventDefault();
+    if (contract && editingResource) {
+      try {
+        await runTransaction(`Update resource #${editingResource.id}`, () => contract.updateResource(
+          editingResource.id,
+          parseToken(editingResource.stakeAmount, editingResource.stakeToken),
+          editingResource.borrowDuration,
+          parseToken(editingResource.latePenalty, editingResource.stakeToken),
+          parseToken(editingResource.onTimeReward, editingResource.stakeToken),
+          editingResource.metadataURI
+        ));
+        setEditingResource(null);
+        await refreshResource(editingResource.id);
+      } catch (error) {
+        console.error('Error updating resource:', error);
+      }
+    }
+  };
+
+  const editResource = async (resource) => {
+    const { decimals } = tokenInfo(resource.stakeToken);
+    setEditingResource({
+      ...resource,
+      stakeAmount: ethers.formatUnits(resource.stakeAmount, decimals),
+      latePenalty: ethers.formatUnits(resource.latePenalty, decimals),
+      onTimeReward: ethers.formatUnits(resource.onTimeReward, decimals),
+    });
+    setRenewalPolicy(null);
+    setPenaltyCurve(null);
+    if (contract) {
+      try {
+        const policy = await contract.renewalPolicies(resource.id);
+        setRenewalPolicy({
+          maxRenewals: policy.maxRenewals.toString(),
+          extensionDuration: policy.extensionDuration.toString(),
+          extensionStake: ethers.formatUnits(policy.extensionStake, decimals),
+        });
+
+        // Curve 0 is the default: a penalty per started day, no grace period
+        const curveId = await contract.penaltyCurveOf(resource.id);
+        if (curveId === 0n) {
+          setPenaltyCurve({ model: '0', unit: '86400', gracePeriod: '0', cap: '', flatUnits: '0', tiers: '' });
+        } else {
+          const curve = await contract.getPenaltyCurve(curveId);
+          setPenaltyCurve({
+            model: curve.model.toString(),
+            unit: curve.unit.toString(),
+            gracePeriod: curve.gracePeriod.toString(),
+            cap: curve.cap > 0n ? ethers.formatUnits(curve.cap, decimals) : '',
+            flatUnits: curve.flatUnits.toString(),
+            tiers: curve.tierStarts
+              .map((start, i) => `${start}:${ethers.formatUnits(curve.tierRates[i], decimals)}`)
+              .join(', '),
+          });
+        }
+      } catch (error) {
+        showError('Error fetching renewal policy and penalty curve', error);
+      }
+    }
+  };
+
+  const updatePenaltyCurve = async (e) => {
+    e.preventDefault();
+    if (contract && editingResource && penaltyCurve) {
+      try {
+        // Tiers are entered as "firstUnit:rate" pairs, e.g. "3:5, 5:10"
+        const tiers = penaltyCurve.model === '1'
+          ? penaltyCurve.tiers.split(',').filter((tier) => tier.trim()).map((tier) => tier.split(':'))
+          : [];
+        await runTransaction('Set penalty curve', () => contract.setPenaltyCurve(
+          editingResource.id,
+          penaltyCurve.model,
+          penaltyCurve.unit,
+          penaltyCurve.gracePeriod,
+          penaltyCurve.cap ? parseToken(penaltyCurve.cap, editingResource.stakeToken) : 0,
+          penaltyCurve.model === '2' ? penaltyCurve.flatUnits : 0,
+          tiers.map(([start]) => start.trim()),
+          tiers.map(([, rate]) => parseToken(rate.trim(), editingResource.stakeToken))
+        ));
+      } catch (error) {
+        console.error('Error updating penalty curve:', error);
+      }
+    }
+  };
+
+  const updateRenewalPolicy = async (e) => {
+    e.preventDefault();
+    if (contract && editingResource && renewalPolicy) {
+      try {
+        await runTransaction('Set renewal policy', () => contract.setRenewalPolicy(
+          editingResource.id,
+          renewalPolicy.maxRenewals,
+          renewalPolicy.extensionDuration,
+          parseToken(renewalPolicy.extensionStake, editingResource.stakeToken)
+        ));
+      } catch (error) {
+        console.error('Error updating renewal policy:', error);
+      }
+    }
+  };
+
+  const setResourceListed = async (resourceId, listed) => {
+    if (contract) {
+      try {
+        await runTransaction(`${listed ? 'Relist' : 'Delist'} #${resourceId}`, () => (listed
+          ? contract.relistResource(resourceId)
+          : contract.delistResource(resourceId)));
+        await refreshResource(resourceId);
+        getMyListings();
+      } catch (error) {
+        console.error('Error changing resource status:', error);
+      }
+    }
+  };
+
   const mintTokens = async () => {
     if (tokenContract) {
       try {
-        const tx = await tokenContract.mint(account, ethers.parseEther('1000'));
-        await tx.wait();
-        alert('1000 MST tokens minted to your account!');
+        await runTransaction('Mint 1000 MST', () => tokenContract.mint(account, ethers.parseEther('1000')));
       } catch (error) {
         console.error('Error minting tokens:', error);
       }
@@ -135,27 +1009,61 @@ function App() {
 
   const depositToRewardPool = async (e) => {
     e.preventDefault();
-    if (contract && tokenContract) {
+    if (contract && poolToken) {
       try {
-        const approveTx = await tokenContract.approve(lendingCircleAddress, ethers.parseEther(depositAmount));
-        await approveTx.wait();
-
-        const tx = await contract.depositToRewardPool(ethers.parseEther(depositAmount));
-        await tx.wait();
+        const amount = parseToken(depositAmount, poolToken);
+        const permit = await signPermit(poolToken, amount);
+        if (permit) {
+          await runTransaction('Deposit to reward pool', () => contract.depositToRewardPoolWithPermit(
+            poolToken, amount, permit.deadline, permit.v, permit.r, permit.s
+          ));
+        } else {
+          await runTransaction(`Approve ${tokenInfo(poolToken).symbol}`, () => erc20(poolToken).approve(circleAddress, amount));
+          await runTransaction('Deposit to reward pool', () => contract.depositToRewardPool(poolToken, amount));
+        }
         setDepositAmount('');
         getRewardPoolBalance();
+        getPoolHistory();
       } catch (error) {
         console.error('Error depositing to reward pool:', error);
       }
     }
   };
 
+  const redeemPoolShares = async (e) => {
+    e.preventDefault();
+    if (contract && poolToken) {
+      try {
+        await runTransaction('Redeem pool shares', () => contract.redeemPoolShares(poolToken, parseToken(redeemShares, poolToken)));
+        setRedeemShares('');
+        getRewardPoolBalance();
+        getPoolHistory();
+      } catch (error) {
+        console.error('Error redeeming pool shares:', error);
+      }
+    }
+  };
+
+  const transferPoolShares = async (e) => {
+    e.preventDefault();
+    if (contract && poolToken) {
+      try {
+        await runTransaction('Transfer pool shares', () => contract.transferPoolShares(poolToken, shareRecipient, parseToken(transferShares, poolToken)));
+        setShareRecipient('');
+        setTransferShares('');
+        getRewardPoolBalance();
+        getPoolHistory();
+      } catch (error) {
+        console.error('Error transferring pool shares:', error);
+      }
+    }
+  };
+
   const withdrawFromRewardPool = async (e) => {
     e.preventDefault();
     if (contract) {
       try {
-        const tx = await contract.withdrawFromRewardPool(ethers.parseEther(withdrawAmount));
-        await tx.wait();
+        await runTransaction('Withdraw from reward pool', () => contract.withdrawFromRewardPool(poolToken, parseToken(withdrawAmount, poolToken)));
         setWithdrawAmount('');
         getRewardPoolBalance();
       } catch (error) {
@@ -165,16 +1073,23 @@ function App() {
   };
 
   const borrowResource = async (resourceId) => {
-    if (contract && tokenContract) {
+    if (contract) {
       try {
         const resource = await contract.getResourceDetails(resourceId);
-        const stake = resource.stakeAmount;
-        const approveTx = await tokenContract.approve(lendingCircleAddress, stake);
-        await approveTx.wait();
-
-        const tx = await contract.borrowResource(resourceId);
-        await tx.wait();
-        getAvailableResources();
+        const stake = await contract.getRequiredStake(account, resourceId);
+        const permit = await signPermit(resource.stakeToken, stake);
+        if (permit) {
+          await runTransaction(`Borrow ${resource.name}`, () => contract.borrowResourceWithPermit(
+            resourceId, permit.deadline, permit.v, permit.r, permit.s
+          ));
+        } else {
+          await runTransaction(
+            `Approve ${tokenInfo(resource.stakeToken).symbol}`,
+            () => erc20(resource.stakeToken).approve(circleAddress, stake)
+          );
+          await runTransaction(`Borrow ${resource.name}`, () => contract.borrowResource(resourceId));
+        }
+        await refreshResource(resourceId);
         getMyBorrowedResources();
       } catch (error) {
         console.error('Error borrowing resource:', error);
@@ -182,27 +1097,277 @@ function App() {
     }
   };
 
+  const extendBorrow = async (resourceId) => {
+    if (contract) {
+      try {
+        const policy = await contract.renewalPolicies(resourceId);
+        if (policy.extensionStake > 0n) {
+          const resource = await contract.getResourceDetails(resourceId);
+          await runTransaction(
+            `Approve ${tokenInfo(resource.stakeToken).symbol}`,
+            () => erc20(resource.stakeToken).approve(circleAddress, policy.extensionStake)
+          );
+        }
+
+        await runTransaction(`Extend borrow of #${resourceId}`, () => contract.extendBorrow(resourceId));
+        getMyBorrowedResources();
+      } catch (error) {
+        console.error('Error extending borrow:', error);
+      }
+    }
+  };
+
+  const joinWaitlist = async (resourceId) => {
+    if (contract) {
+      try {
+        await runTransaction(`Join waitlist for #${resourceId}`, () => contract.joinWaitlist(resourceId));
+        getFullResources();
+      } catch (error) {
+        console.error('Error joining waitlist:', error);
+      }
+    }
+  };
+
+  const leaveWaitlist = async (resourceId) => {
+    if (contract) {
+      try {
+        await runTransaction(`Leave waitlist for #${resourceId}`, () => contract.leaveWaitlist(resourceId));
+        getFullResources();
+      } catch (error) {
+        console.error('Error leaving waitlist:', error);
+      }
+    }
+  };
+
+  const getPauseStatus = async () => {
+    if (contract) {
+      try {
+        setPauseStatus({
+          paused: await contract.paused(),
+          emergency: await contract.emergencyMode(),
+        });
+      } catch (error) {
+        showError('Error fetching pause status', error);
+      }
+    }
+  };
+
+  const setPaused = async (paused) => {
+    if (contract) {
+      try {
+        await runTransaction(paused ? 'Pause circle' : 'Unpause circle', () => (paused ? contract.pause() : contract.unpause()));
+        getPauseStatus();
+      } catch (error) {
+        console.error('Error changing pause status:', error);
+      }
+    }
+  };
+
+  const emergencyWithdraw = async (resourceId) => {
+    if (contract) {
+      try {
+        await runTransaction(`Reclaim stake for #${resourceId}`, () => contract.emergencyWithdraw(resourceId));
+        await refreshResource(resourceId);
+        getMyBorrowedResources();
+      } catch (error) {
+        console.error('Error reclaiming stake:', error);
+      }
+    }
+  };
+
   const returnResource = async (resourceId) => {
     if (contract) {
       try {
-        const tx = await contract.returnResource(resourceId);
-        await tx.wait();
-        getAvailableResources();
+        await runTransaction(`Return #${resourceId}`, () => contract.returnResource(resourceId));
+        await refreshResource(resourceId);
         getMyBorrowedResources();
+        getBorrowerProfile();
+        getEscrows();
       } catch (error) {
         console.error('Error returning resource:', error);
       }
     }
   };
 
+  // Circles are loaded a page at a time, oldest first; offset 0 starts over
+  const getCircles = async (offset = 0) => {
+    if (factory) {
+      try {
+        const count = await factory.getCircleCount();
+        const registered = await factory.getCircles(offset, CIRCLE_PAGE_SIZE);
+        const page = registered.map((circle) => ({ address: circle.circle, name: circle.name }));
+        setCircles((loaded) => (offset === 0 ? page : [...loaded, ...page]));
+        setCircleCount(Number(count));
+      } catch (error) {
+        showError('Error fetching circles', error);
+      }
+    }
+  };
+
+  const createCircle = async (e) => {
+    e.preventDefault();
+    if (factory) {
+      try {
+        const receipt = await runTransaction(
+          `Create ${newCircle.name}`,
+          () => factory.createCircle(newCircle.stakeToken, newCircle.name, newCircle.admin || account)
+        );
+        const created = receipt.logs
+          .map((log) => factory.interface.parseLog(log))
+          .find((event) => event && event.name === 'CircleCreated');
+        setNewCircle({ name: '', stakeToken: deployment.contracts.MockStakeToken.address, admin: '' });
+        await getCircles();
+        if (created) {
+          setCircleAddress(created.args.circle);
+        }
+      } catch (error) {
+        console.error('Error creating circle:', error);
+      }
+    }
+  };
+
+  const isAccount = (address) => account && address.toLowerCase() === account.toLowerCase();
+  // The detail view shows a digital item's download link only to its borrowers
+  const markBorrowing = (resourceId, borrowing) =>
+    setSelectedResource((current) => (current?.id === resourceId.toString() ? { ...current, borrowing } : current));
+
+  // Other members' activity arrives as contract events. The listeners, like
+  // the timers below, are registered once per contract and call through this
+  // ref, so they always see the current account and lists.
+  const latest = useRef({});
+  useEffect(() => {
+    latest.current = {
+      connect,
+      showError,
+      getCircles,
+      getAllResources,
+      getMyBorrowedResources,
+      ResourceAdded: async (resourceId) => {
+        const details = await refreshResource(resourceId);
+        if (isAccount(details.lender)) getMyListings();
+      },
+      ResourceBorrowed: async (resourceId, borrower) => {
+        await refreshResource(resourceId);
+        getRewardPoolBalance();
+        if (isAccount(borrower)) {
+          getMyBorrowedResources();
+          markBorrowing(resourceId, true);
+        }
+      },
+      ResourceReturned: async (resourceId, borrower) => {
+        const details = await refreshResource(resourceId);
+        getRewardPoolBalance();
+        if (isAccount(borrower)) {
+          getMyBorrowedResources();
+          getBorrowerProfile();
+          getEscrows();
+          markBorrowing(resourceId, false);
+        }
+        if (isAccount(details.lender)) getMyListings();
+      },
+    };
+  });
+
+  useEffect(() => {
+    if (!contract) return undefined;
+    const listeners = ['ResourceAdded', 'ResourceBorrowed', 'ResourceReturned'].map((name) => [
+      name,
+      (...args) => latest.current[name](...args).catch((error) => latest.current.showError(`Error handling ${name}`, error)),
+    ]);
+    listeners.forEach(([name, listener]) => contract.on(name, listener));
+    return () => listeners.forEach(([name, listener]) => contract.off(name, listener));
+  }, [contract]);
+
+  // Follow the wallet: restore an authorised connection on page load, and
+  // reconnect when the user switches account or network
+  useEffect(() => {
+    if (!window.ethereum) return undefined;
+    const reconnect = () =>
+      latest.current.connect(false).catch((error) => latest.current.showError('Error connecting to wallet', error));
+    const onChainChanged = () => {
+      // Circles live on one chain, so start from the new chain's own
+      setContract(null);
+      setCircleAddress('');
+      reconnect();
+    };
+
+    reconnect();
+    window.ethereum.on('accountsChanged', reconnect);
+    window.ethereum.on('chainChanged', onChainChanged);
+    return () => {
+      window.ethereum.removeListener('accountsChanged', reconnect);
+      window.ethereum.removeListener('chainChanged', onChainChanged);
+    };
+  }, []);
+
+  useEffect(() => {
+    latest.current.getCircles();
+  }, [factory]);
+
+  // Talk to whichever circle is picked
+  useEffect(() => {
+    if (signer && deployment && circleAddress) {
+      setContract(new ethers.Contract(circleAddress, deployment.contracts.LendingCircle.abi, signer));
+    }
+  }, [signer, deployment, circleAddress]);
+
   useEffect(() => {
     if (contract) {
+      getPauseStatus();
+      getRoles();
+      getMembership();
+      getStakeTokens();
       getAvailableResources();
+      getFullResources();
       getMyBorrowedResources();
       getRewardPoolBalance();
+      getPoolHistory();
+      getMyListings();
+      getBorrowerProfile();
+      getEscrows();
     }
   }, [contract]);
 
+  // Only curators see every resource, so only they load them all
+  useEffect(() => {
+    if (roles.curator) latest.current.getAllResources();
+  }, [contract, roles.curator]);
+
+  // Ticks the due-date countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Refreshes the projected refunds once a minute, since a late penalty grows as time passes
+  useEffect(() => {
+    if (!contract) return undefined;
+    const timer = setInterval(() => latest.current.getMyBorrowedResources(), 60 * 1000);
+    return () => clearInterval(timer);
+  }, [contract]);
+
+  // Non-members of a gated circle can browse the catalog but not borrow
+  const canBorrow = membership.mode === 0 || membership.isMember;
+
+  // The catalog: the loaded pages of available and full resources that match
+  // the search and filters, with full ones shown as unavailable and offering the waitlist
+  const loadedCatalog = [
+    ...availableResources.map((resource) => ({ ...resource, full: false })),
+    ...fullResources.map((resource) => ({ ...resource, full: true })),
+  ];
+  const categories = [...new Set(loadedCatalog.map((resource) => resource.category).filter(Boolean))].sort();
+  const search = catalogFilter.search.trim().toLowerCase();
+  const catalog = loadedCatalog
+    .map((resource) => ({
+      ...resource,
+      stake: Number(ethers.formatUnits(resource.stakeAmount, tokenInfo(resource.stakeToken).decimals)),
+    }))
+    .filter((resource) =>
+      resource.name.toLowerCase().includes(search)
+      && (catalogFilter.category === 'all' || resource.category === catalogFilter.category)
+      && (catalogFilter.maxStake === '' || resource.stake <= Number(catalogFilter.maxStake)))
+    .sort(CATALOG_SORTS[catalogFilter.sort].compare);
+
   return (
     <div className="App">
       <header className="App-header">
@@ -212,57 +1377,582 @@ function App() {
         ) : (
           <button onClick={connectWallet}>Connect Wallet</button>
         )}
+        {circles.length > 0 && (
+          <select value={circleAddress} onChange={(e) => setCircleAddress(e.target.value)}>
+            {!circles.some((circle) => circle.address.toLowerCase() === circleAddress.toLowerCase()) && (
+              <option value={circleAddress}>{circleAddress}</option>
+            )}
+            {circles.map((circle) => (
+              <option key={circle.address} value={circle.address}>{circle.name}</option>
+            ))}
+          </select>
+        )}
+        {circles.length < circleCount && (
+          <button onClick={() => getCircles(circles.length)}>More circles</button>
+        )}
       </header>
+      {toasts.length > 0 && (
+        <div className="toasts">
+          {toasts.map((toast) => (
+            <div key={toast.id} className={`toast toast-${toast.status}`}>
+              <strong>{toast.label}</strong>
+              <span>{toast.message}</span>
+              {toast.hash && (
+                transactionUrl(chainId, toast.hash) ? (
+                  <a href={transactionUrl(chainId, toast.hash)} target="_blank" rel="noreferrer">View transaction</a>
+                ) : (
+                  <code>{toast.hash.slice(0, 10)}…</code>
+                )
+              )}
+              {toast.status !== 'pending' && (
+                <button className="toast-close" onClick={() => dismissToast(toast.id)}>×</button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
       <main>
+        {account && !deployment && (
+          <div className="paused-banner">
+            <strong>Lending Circle is not deployed on this network (chain {chainId}).</strong>
+            {supportedChains.length > 0 ? ' Switch to:' : ' Deploy it with lendin/scripts/deploy.js first.'}
+            {supportedChains.map((chain) => (
+              <button key={chain.chainId} onClick={() => switchNetwork(chain.chainId)}>
+                {chain.network} ({chain.chainId})
+              </button>
+            ))}
+          </div>
+        )}
+        {deployment && staleContracts(deployment).length > 0 && (
+          <div className="paused-banner">
+            <strong>This deployment is out of date.</strong> The ABI of {staleContracts(deployment).join(', ')} changed
+            since it was deployed on {deployment.network}, so some actions may fail. Redeploy with lendin/scripts/deploy.js.
+          </div>
+        )}
+        {pauseStatus.paused && (
+          <div className="paused-banner">
+            <strong>The circle is paused.</strong> New borrows, listings and deposits are on hold; you can still return items.
+            {pauseStatus.emergency && ' Emergency mode is active: you can reclaim your full stake below without returning.'}
+          </div>
+        )}
+        {factory && (
+          <section>
+            <h2>Create Circle</h2>
+            <form onSubmit={createCircle}>
+              <input type="text" placeholder="Circle Name (e.g. Tool Shed)" value={newCircle.name} onChange={(e) => setNewCircle({ ...newCircle, name: e.target.value })} required />
+              <input type="text" placeholder="Stake Token Address" value={newCircle.stakeToken} onChange={(e) => setNewCircle({ ...newCircle, stakeToken: e.target.value })} required />
+              <input type="text" placeholder="Admin Address (defaults to you)" value={newCircle.admin} onChange={(e) => setNewCircle({ ...newCircle, admin: e.target.value })} />
+              <button disabled={busy} type="submit">Create Circle</button>
+            </form>
+          </section>
+        )}
+        {roles.pauser && (
+          <section>
+            <h2>Emergency Pause</h2>
+            {pauseStatus.paused ? (
+              <button disabled={busy} onClick={() => setPaused(false)}>Unpause</button>
+            ) : (
+              <button disabled={busy} onClick={() => setPaused(true)}>Pause</button>
+            )}
+          </section>
+        )}
+        {borrowerProfile && (
+          <section className="profile-card">
+            <h2>My Borrower Profile</h2>
+            <p>On-time returns: {borrowerProfile.onTimeReturns}</p>
+            <p>Late returns: {borrowerProfile.lateReturns}</p>
+            <p>
+              Penalties paid:{' '}
+              {borrowerProfile.penaltiesPaid.length > 0
+                ? borrowerProfile.penaltiesPaid.map(({ token, amount }) => formatToken(amount, token)).join(', ')
+                : 'none'}
+            </p>
+            <p>Current on-time streak: {borrowerProfile.currentStreak}</p>
+            {borrowerProfile.tier > 0 ? (
+              <p>
+                Tier {borrowerProfile.tier}: {borrowerProfile.stakeDiscount}% off stakes,
+                {' '}{borrowerProfile.rewardBonus}% extra on-time reward
+              </p>
+            ) : (
+              <p>No reputation tier reached yet</p>
+            )}
+          </section>
+        )}
+        {(roles.admin || roles.owner || roles.pendingOwner) && (
+          <section>
+            <h2>Roles</h2>
+            {(roles.admin || roles.owner) && (
+              <>
+                <input type="text" placeholder="Account Address" value={roleAccount} onChange={(e) => setRoleAccount(e.target.value)} />
+                <select value={selectedRole} onChange={(e) => setSelectedRole(e.target.value)}>
+                  <option value="CURATOR_ROLE">Curator</option>
+                  <option value="TREASURER_ROLE">Treasurer</option>
+                  <option value="PAUSER_ROLE">Pauser</option>
+                  {roles.owner && <option value="ADMIN_ROLE">Admin</option>}
+                </select>
+                <button disabled={busy} onClick={() => changeRole(true)}>Grant</button>
+                <button disabled={busy} onClick={() => changeRole(false)}>Revoke</button>
+              </>
+            )}
+            {roles.owner && (
+              <form onSubmit={transferOwnership}>
+                <input type="text" placeholder="New Owner Address" value={newOwner} onChange={(e) => setNewOwner(e.target.value)} required />
+                <button disabled={busy} type="submit">Transfer Ownership</button>
+              </form>
+            )}
+            {roles.pendingOwner && (
+              <button disabled={busy} onClick={acceptOwnership}>Accept Ownership</button>
+            )}
+          </section>
+        )}
+        {(roles.curator || roles.lender) && (
+          <section>
+            <h2>Add a Resource</h2>
+            <form onSubmit={addResource}>
+              <input type="text" placeholder="Resource Name" value={resourceName} onChange={(e) => setResourceName(e.target.value)} required />
+              <select value={resourceToken} onChange={(e) => setResourceToken(e.target.value)}>
+                {stakeTokens.filter((token) => token.allowed).map((token) => (
+                  <option key={token.address} value={token.address}>{token.symbol}</option>
+                ))}
+              </select>
+              <input type="text" placeholder={`Stake Amount (${tokenInfo(resourceToken).symbol})`} value={stakeAmount} onChange={(e) => setStakeAmount(e.target.value)} required />
+              <input type="text" placeholder={`Late Penalty (${tokenInfo(resourceToken).symbol} per day)`} value={latePenalty} onChange={(e) => setLatePenalty(e.target.value)} required />
+              <input type="text" placeholder={`On-Time Reward (${tokenInfo(resourceToken).symbol})`} value={onTimeReward} onChange={(e) => setOnTimeReward(e.target.value)} required />
+              <input type="text" placeholder="Borrow Duration (seconds)" value={borrowDuration} onChange={(e) => setBorrowDuration(e.target.value)} required />
+              <input type="text" placeholder="Max Concurrent Borrows" value={maxBorrows} onChange={(e) => setMaxBorrows(e.target.value)} required />
+              <input type="text" placeholder="Metadata URI" value={metadataURI} onChange={(e) => setMetadataURI(e.target.value)} />
+              <input type="text" placeholder="Category (e.g. Tools)" value={resourceCategory} onChange={(e) => setResourceCategory(e.target.value)} />
+              <select value={resourceType} onChange={(e) => setResourceType(e.target.value)}>
+                <option value={0}>Physical</option>
+                <option value={1}>Digital</option>
+              </select>
+              <button disabled={busy} type="submit">Add Resource</button>
+            </form>
+          </section>
+        )}
+        {roles.curator && (
+          <section>
+            <h2>Manage Resources</h2>
+            <ul>
+              {allResources.map((resource) => (
+                <li key={resource.id}>
+                  {resource.name} {resource.active ? '' : '(delisted)'}
+                  <span>
+                    <button onClick={() => openResource(resource.id)}>Details</button>
+                    <button onClick={() => editResource(resource)}>Edit</button>
+                    {resource.active ? (
+                      <button disabled={busy} onClick={() => setResourceListed(resource.id, false)}>Delist</button>
+                    ) : (
+                      <button disabled={busy} onClick={() => setResourceListed(resource.id, true)}>Relist</button>
+                    )}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            {allCursor > 0 && (
+              <button onClick={() => getAllResources(allCursor)}>Load more</button>
+            )}
+            {editingResource && (
+              <form onSubmit={updateResource}>
+                <h3>Edit {editingResource.name}</h3>
+                <input type="text" placeholder={`Stake Amount (${tokenInfo(editingResource.stakeToken).symbol})`} value={editingResource.stakeAmount} onChange={(e) => setEditingResource({ ...editingResource, stakeAmount: e.target.value })} required />
+                <input type="text" placeholder={`Late Penalty (${tokenInfo(editingResource.stakeToken).symbol} per unit)`} value={editingResource.latePenalty} onChange={(e) => setEditingResource({ ...editingResource, latePenalty: e.target.value })} required />
+                <input type="text" placeholder={`On-Time Reward (${tokenInfo(editingResource.stakeToken).symbol})`} value={editingResource.onTimeReward} onChange={(e) => setEditingResource({ ...editingResource, onTimeReward: e.target.value })} required />
+                <input type="text" placeholder="Borrow Duration (seconds)" value={editingResource.borrowDuration} onChange={(e) => setEditingResource({ ...editingResource, borrowDuration: e.target.value })} required />
+                <input type="text" placeholder="Metadata URI" value={editingResource.metadataURI} onChange={(e) => setEditingResource({ ...editingResource, metadataURI: e.target.value })} />
+                <button disabled={busy} type="submit">Save</button>
+                <button type="button" onClick={() => setEditingResource(null)}>Cancel</button>
+              </form>
+            )}
+            {editingResource && renewalPolicy && (
+              <form onSubmit={updateRenewalPolicy}>
+                <h3>Renewals</h3>
+                <input type="text" placeholder="Max Renewals (0 to disable)" value={renewalPolicy.maxRenewals} onChange={(e) => setRenewalPolicy({ ...renewalPolicy, maxRenewals: e.target.value })} required />
+                <input type="text" placeholder="Extension Duration (seconds)" value={renewalPolicy.extensionDuration} onChange={(e) => setRenewalPolicy({ ...renewalPolicy, extensionDuration: e.target.value })} required />
+                <input type="text" placeholder={`Extra Stake per Extension (${tokenInfo(editingResource.stakeToken).symbol})`} value={renewalPolicy.extensionStake} onChange={(e) => setRenewalPolicy({ ...renewalPolicy, extensionStake: e.target.value })} required />
+                <button disabled={busy} type="submit">Save Renewals</button>
+              </form>
+            )}
+            {editingResource && penaltyCurve && (
+              <form onSubmit={updatePenaltyCurve}>
+                <h3>Late Penalty</h3>
+                <select value={penaltyCurve.model} onChange={(e) => setPenaltyCurve({ ...penaltyCurve, model: e.target.value })}>
+                  {PENALTY_MODELS.map((model, index) => (
+                    <option key={model} value={index}>{model}</option>
+                  ))}
+                </select>
+                <select value={penaltyCurve.unit} onChange={(e) => setPenaltyCurve({ ...penaltyCurve, unit: e.target.value })}>
+                  <option value="3600">Per hour</option>
+                  <option value="86400">Per day</option>
+                </select>
+                <input type="text" placeholder="Grace Period (seconds)" value={penaltyCurve.gracePeriod} onChange={(e) => setPenaltyCurve({ ...penaltyCurve, gracePeriod: e.target.value })} required />
+                <input type="text" placeholder={`Penalty Cap (${tokenInfo(editingResource.stakeToken).symbol}, empty for the stake)`} value={penaltyCurve.cap} onChange={(e) => setPenaltyCurve({ ...penaltyCurve, cap: e.target.value })} />
+                {penaltyCurve.model === '1' && (
+                  <input type="text" placeholder="Tiers as firstUnit:rate, e.g. 3:5, 5:10" value={penaltyCurve.tiers} onChange={(e) => setPenaltyCurve({ ...penaltyCurve, tiers: e.target.value })} required />
+                )}
+                {penaltyCurve.model === '2' && (
+                  <input type="text" placeholder="Flat Units Before Doubling" value={penaltyCurve.flatUnits} onChange={(e) => setPenaltyCurve({ ...penaltyCurve, flatUnits: e.target.value })} required />
+                )}
+                <button disabled={busy} type="submit">Save Penalty</button>
+              </form>
+            )}
+          </section>
+        )}
         <section>
-          <h2>Add a Resource</h2>
-          <form onSubmit={addResource}>
-            <input type="text" placeholder="Resource Name" value={resourceName} onChange={(e) => setResourceName(e.target.value)} required />
-            <input type="text" placeholder="Stake Amount (ETH)" value={stakeAmount} onChange={(e) => setStakeAmount(e.target.value)} required />
-            <input type="text" placeholder="Late Penalty (ETH per day)" value={latePenalty} onChange={(e) => setLatePenalty(e.target.value)} required />
-            <input type="text" placeholder="On-Time Reward (ETH)" value={onTimeReward} onChange={(e) => setOnTimeReward(e.target.value)} required />
-            <input type="text" placeholder="Borrow Duration (seconds)" value={borrowDuration} onChange={(e) => setBorrowDuration(e.target.value)} required />
-            <input type="text" placeholder="Max Concurrent Borrows" value={maxBorrows} onChange={(e) => setMaxBorrows(e.target.value)} required />
-            <input type="text" placeholder="Metadata URI" value={metadataURI} onChange={(e) => setMetadataURI(e.target.value)} />
-            <select value={resourceType} onChange={(e) => setResourceType(e.target.value)}>
-              <option value={0}>Physical</option>
-              <option value={1}>Digital</option>
-            </select>
-            <button type="submit">Add Resource</button>
-          </form>
+          <h2>My Listings</h2>
+          {Object.entries(lenderEarnings)
+            .filter(([, amount]) => amount > 0n)
+            .map(([address, amount]) => (
+              <p key={address}>
+                Unwithdrawn earnings: {formatToken(amount, address)}
+                <button disabled={busy} onClick={() => withdrawEarnings(address)}>Withdraw</button>
+              </p>
+            ))}
+          <ul>
+            {myListings.map((resource) => (
+              <li key={resource.id}>
+                {resource.name} {resource.active ? '' : '(delisted)'} - earned {formatToken(resource.earnings, resource.stakeToken)}
+                {resource.active ? (
+                  <button disabled={busy} onClick={() => setResourceListed(resource.id, false)}>Delist</button>
+                ) : (
+                  <button disabled={busy} onClick={() => setResourceListed(resource.id, true)}>Relist</button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {myListingsCursor > 0 && (
+            <button onClick={() => getMyListings(myListingsCursor)}>Load more</button>
+          )}
         </section>
+        <section>
+          <h2>Returns in Escrow</h2>
+          <ul>
+            {escrows
+              .filter((escrow) => escrow.borrower.toLowerCase() === account.toLowerCase())
+              .map((escrow) => {
+                const releasable = escrow.disputed
+                  ? escrow.disputeDeadline * 1000 < Date.now()
+                  : escrow.releaseTime * 1000 < Date.now();
+                return (
+                  <li key={escrow.key}>
+                    <span>
+                      {escrow.name}: {formatToken(escrow.amount, escrow.stakeToken)}
+                      {escrow.disputed
+                        ? ` disputed (evidence: ${escrow.evidenceURI}), auto-releases ${new Date(escrow.disputeDeadline * 1000).toLocaleString()}`
+                        : ` held until ${new Date(escrow.releaseTime * 1000).toLocaleString()}`}
+                    </span>
+                    <button onClick={() => releaseEscrow(escrow)} disabled={busy || !releasable}>Release</button>
+                  </li>
+                );
+              })}
+          </ul>
+          <h3>Inspect Returned Items</h3>
+          <ul>
+            {escrows
+              .filter((escrow) => !escrow.disputed && escrow.releaseTime * 1000 > Date.now())
+              .filter((escrow) => roles.curator || escrow.lender.toLowerCase() === account.toLowerCase())
+              .map((escrow) => (
+                <li key={escrow.key}>
+                  <span>{escrow.name} returned by {escrow.borrower}</span>
+                  <span>
+                    <input type="text" placeholder="Evidence URI" value={evidenceURIs[escrow.key] || ''} onChange={(e) => setEvidenceURIs({ ...evidenceURIs, [escrow.key]: e.target.value })} />
+                    <button disabled={busy} onClick={() => flagDamage(escrow)}>Flag Damage</button>
+                  </span>
+                </li>
+              ))}
+          </ul>
+          {roles.arbiter && (
+            <>
+              <h3>Open Disputes</h3>
+              <ul>
+                {escrows
+                  .filter((escrow) => escrow.disputed)
+                  .map((escrow) => (
+                    <li key={escrow.key}>
+                      <span>
+                        {escrow.name} ({formatToken(escrow.amount, escrow.stakeToken)} held) - <a href={escrow.evidenceURI} target="_blank" rel="noreferrer">evidence</a>
+                      </span>
+                      <span>
+                        <input type="text" placeholder={`Damage (${tokenInfo(escrow.stakeToken).symbol})`} value={damageAmounts[escrow.key] || ''} onChange={(e) => setDamageAmounts({ ...damageAmounts, [escrow.key]: e.target.value })} />
+                        <button disabled={busy} onClick={() => resolveDispute(escrow)}>Resolve</button>
+                      </span>
+                    </li>
+                  ))}
+              </ul>
+            </>
+          )}
+        </section>
+        <section>
+          <h2>Membership</h2>
+          <p>
+            This circle is {MEMBERSHIP_MODES[membership.mode].toLowerCase()}
+            {membership.mode !== 0 && (membership.isMember ? ' and you are a member.' : ' and you are not a member yet.')}
+          </p>
+          {membership.mode === 1 && !membership.isMember && <p>Ask a curator to add your address.</p>}
+          {membership.mode === 2 && !membership.isMember && (
+            membership.revoked ? (
+              <p>Your membership was removed. Ask a curator to add you again.</p>
+            ) : (
+              <form onSubmit={joinCircle}>
+                <h3>Join Circle</h3>
+                <textarea placeholder="Paste your invite proof" value={inviteProof} onChange={(e) => setInviteProof(e.target.value)} required />
+                <button disabled={busy} type="submit">Join</button>
+              </form>
+            )
+          )}
+          {roles.curator && (
+            <>
+              <textarea placeholder="Member addresses, separated by commas or new lines" value={memberAddresses} onChange={(e) => setMemberAddresses(e.target.value)} />
+              <button disabled={busy} onClick={() => setMembers(true)}>Add Members</button>
+              <button disabled={busy} onClick={() => setMembers(false)}>Remove Members</button>
+            </>
+          )}
+          {roles.admin && (
+            <form onSubmit={setMembershipMode}>
+              <select value={membershipForm.mode} onChange={(e) => setMembershipForm({ ...membershipForm, mode: e.target.value })}>
+                {MEMBERSHIP_MODES.map((mode, index) => (
+                  <option key={mode} value={index}>{mode}</option>
+                ))}
+              </select>
+              {membershipForm.mode === '2' && (
+                <input type="text" placeholder="Merkle Root (from scripts/merkle.js)" value={membershipForm.root} onChange={(e) => setMembershipForm({ ...membershipForm, root: e.target.value })} required />
+              )}
+              <button disabled={busy} type="submit">Set Membership Mode</button>
+            </form>
+          )}
+        </section>
+        {roles.curator && (
+          <section>
+            <h2>Approve Lenders</h2>
+            <input type="text" placeholder="Member Address" value={lenderAddress} onChange={(e) => setLenderAddress(e.target.value)} />
+            <button disabled={busy} onClick={() => setLenderApproval(true)}>Approve</button>
+            <button disabled={busy} onClick={() => setLenderApproval(false)}>Revoke</button>
+          </section>
+        )}
         <section>
           <h2>Reward Pool</h2>
-          <p>Balance: {rewardPool} MST</p>
+          {Object.entries(rewardPools).map(([address, balance]) => (
+            <p key={address}>
+              Balance: {formatToken(balance.total, address)}
+              {' '}({formatToken(balance.total - balance.free, address)} reserved for active borrows, {formatToken(balance.free, address)} free)
+              <br />
+              Share price: {formatToken(balance.sharePrice, address)}
+              {' '}- your shares: {ethers.formatUnits(balance.myShares, tokenInfo(address).decimals)}
+              {' '}(worth {formatToken((balance.myShares * balance.sharePrice) / 10n ** 18n, address)})
+            </p>
+          ))}
+          <select value={poolToken} onChange={(e) => setPoolToken(e.target.value)}>
+            {stakeTokens.map((token) => (
+              <option key={token.address} value={token.address}>{token.symbol}</option>
+            ))}
+          </select>
           <form onSubmit={depositToRewardPool}>
             <input type="text" placeholder="Amount to Deposit" value={depositAmount} onChange={(e) => setDepositAmount(e.target.value)} required />
-            <button type="submit">Deposit</button>
+            <button disabled={busy} type="submit">Deposit for Shares</button>
           </form>
-          <form onSubmit={withdrawFromRewardPool}>
-            <input type="text" placeholder="Amount to Withdraw" value={withdrawAmount} onChange={(e) => setWithdrawAmount(e.target.value)} required />
-            <button type="submit">Withdraw</button>
+          <form onSubmit={redeemPoolShares}>
+            <input type="text" placeholder="Shares to Redeem" value={redeemShares} onChange={(e) => setRedeemShares(e.target.value)} required />
+            <button disabled={busy} type="submit">Redeem</button>
           </form>
+          <form onSubmit={transferPoolShares}>
+            <input type="text" placeholder="Recipient Address" value={shareRecipient} onChange={(e) => setShareRecipient(e.target.value)} required />
+            <input type="text" placeholder="Shares to Send" value={transferShares} onChange={(e) => setTransferShares(e.target.value)} required />
+            <button disabled={busy} type="submit">Send Shares</button>
+          </form>
+          {roles.treasurer && (
+            <form onSubmit={withdrawFromRewardPool}>
+              <input type="text" placeholder="Unowned Amount to Withdraw" value={withdrawAmount} onChange={(e) => setWithdrawAmount(e.target.value)} required />
+              <button disabled={busy} type="submit">Withdraw</button>
+            </form>
+          )}
+          {poolHistory.length > 0 && (
+            <>
+              <h3>My Pool History</h3>
+              <ul>
+                {poolHistory.map((entry) => (
+                  <li key={entry.key}>
+                    {entry.kind}: {ethers.formatUnits(entry.shares, tokenInfo(entry.token).decimals)} shares
+                    {entry.amount !== undefined && ` for ${formatToken(entry.amount, entry.token)}`}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
         </section>
         <section>
           <h2>Mint Tokens</h2>
-          <button onClick={mintTokens}>Mint 1000 MST</button>
+          <button disabled={busy} onClick={mintTokens}>Mint 1000 MST</button>
         </section>
+        {selectedResource && (() => {
+          const { details, metadata, metadataError, penaltyCurve: curve, borrowing } = selectedResource;
+          const digital = Number(details.resourceType) === 1;
+          return (
+            <section className="resource-detail">
+              <h2>{metadata?.name || details.name}</h2>
+              {metadata?.image && <img src={metadata.image} alt={details.name} />}
+              {metadata?.description && <p>{metadata.description}</p>}
+              {metadataError && <p className="metadata-error">Could not load this resource's metadata: {metadataError}</p>}
+              <dl>
+                <dt>Type</dt>
+                <dd>{RESOURCE_TYPES[Number(details.resourceType)]}</dd>
+                <dt>Availability</dt>
+                <dd>
+                  {details.active
+                    ? `${details.currentBorrowerCount} of ${details.maxConcurrentBorrows} borrowed`
+                    : 'Delisted'}
+                </dd>
+                <dt>Stake</dt>
+                <dd>{formatToken(details.stakeAmount, details.stakeToken)}</dd>
+                <dt>Borrow period</dt>
+                <dd>{formatDuration(Number(details.borrowDuration))}</dd>
+                <dt>Late penalty</dt>
+                <dd>
+                  {formatToken(details.latePenaltyPerDay, details.stakeToken)} per {curve?.hourly ? 'hour' : 'day'}
+                  {curve && ` (${curve.model.toLowerCase()} curve)`}
+                </dd>
+                <dt>On-time reward</dt>
+                <dd>{formatToken(details.onTimeReward, details.stakeToken)}</dd>
+                <dt>Lender</dt>
+                <dd>{details.lender}</dd>
+                {(details.category || metadata?.category) && (<><dt>Category</dt><dd>{details.category || metadata.category}</dd></>)}
+                {metadata?.condition && (<><dt>Condition</dt><dd>{metadata.condition}</dd></>)}
+                {metadata?.location && (<><dt>Location</dt><dd>{metadata.location}</dd></>)}
+              </dl>
+              {digital && metadata?.download && (
+                borrowing
+                  ? <a href={metadata.download} target="_blank" rel="noreferrer">Download</a>
+                  : <p>The download link is shown while you borrow this.</p>
+              )}
+              <button onClick={() => setSelectedResource(null)}>Close</button>
+            </section>
+          );
+        })()}
         <section>
           <h2>Available Resources</h2>
+          <div className="catalog-filters">
+            <input
+              type="text"
+              placeholder="Search by name"
+              value={catalogFilter.search}
+              onChange={(e) => setCatalogFilter({ ...catalogFilter, search: e.target.value })}
+            />
+            <select
+              value={catalogType}
+              onChange={(e) => {
+                setCatalogType(e.target.value);
+                getAvailableResources(0, e.target.value);
+                getFullResources(0, e.target.value);
+              }}
+            >
+              <option value="all">All types</option>
+              <option value={0}>Physical</option>
+              <option value={1}>Digital</option>
+            </select>
+            <select value={catalogFilter.category} onChange={(e) => setCatalogFilter({ ...catalogFilter, category: e.target.value })}>
+              <option value="all">All categories</option>
+              {categories.map((category) => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Max stake"
+              value={catalogFilter.maxStake}
+              onChange={(e) => setCatalogFilter({ ...catalogFilter, maxStake: e.target.value })}
+            />
+            <select value={catalogFilter.sort} onChange={(e) => setCatalogFilter({ ...catalogFilter, sort: e.target.value })}>
+              {Object.entries(CATALOG_SORTS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
           <ul>
-            {availableResources.map((resource) => (
-              <li key={resource.id}>
-                {resource.name} <button onClick={() => borrowResource(resource.id)}>Borrow</button>
-              </li>
-            ))}
+            {catalog.map((resource) => {
+              const { full } = resource;
+              return (
+                <li key={resource.id} className={full ? 'unavailable' : ''}>
+                  <span>
+                    {resource.name} ({formatToken(resource.stakeAmount, resource.stakeToken)} stake)
+                    {resource.category && <span className="category">{resource.category}</span>}
+                    <br />
+                    <small>
+                      {RESOURCE_TYPES[resource.resourceType]}, {formatDuration(Number(resource.borrowDuration))} borrow period,
+                      borrowed {resource.borrows} {resource.borrows === 1 ? 'time' : 'times'}
+                    </small>
+                  </span>
+                  {!full ? (
+                    <span>
+                      <button onClick={() => openResource(resource.id)}>Details</button>
+                      <button onClick={() => borrowResource(resource.id)} disabled={busy || pauseStatus.paused || !canBorrow}>Borrow</button>
+                    </span>
+                  ) : resource.claimExpiry * 1000 > Date.now() ? (
+                    <span>
+                      Your slot is held until {new Date(resource.claimExpiry * 1000).toLocaleString()}
+                      <button onClick={() => openResource(resource.id)}>Details</button>
+                      <button disabled={busy} onClick={() => borrowResource(resource.id)}>Claim</button>
+                    </span>
+                  ) : resource.position > 0 ? (
+                    <span>
+                      Unavailable, #{resource.position} in line
+                      <button onClick={() => openResource(resource.id)}>Details</button>
+                      <button disabled={busy} onClick={() => leaveWaitlist(resource.id)}>Leave waitlist</button>
+                    </span>
+                  ) : (
+                    <span>
+                      Unavailable
+                      <button onClick={() => openResource(resource.id)}>Details</button>
+                      <button onClick={() => joinWaitlist(resource.id)} disabled={busy || !canBorrow}>Join waitlist</button>
+                    </span>
+                  )}
+                </li>
+              );
+            })}
           </ul>
+          {catalog.length === 0 && <p>No resources match these filters.</p>}
+          {(availableCursor > 0 || fullCursor > 0) && (
+            <button
+              onClick={() => {
+                if (availableCursor > 0) getAvailableResources(availableCursor);
+                if (fullCursor > 0) getFullResources(fullCursor);
+              }}
+            >
+              Load more
+            </button>
+          )}
         </section>
         <section>
           <h2>My Borrowed Resources</h2>
           <ul>
             {borrowedResources.map((resource) => (
               <li key={resource.id}>
-                {resource.name} <button onClick={() => returnResource(resource.id)}>Return</button>
+                <span className={resource.deadline - now < DUE_SOON_SECONDS ? 'due-soon' : ''}>
+                  {resource.name} (due {new Date(resource.deadline * 1000).toLocaleString()})
+                  <br />
+                  {resource.deadline > now
+                    ? `${formatDuration(resource.deadline - now)} left`
+                    : `Overdue by ${formatDuration(now - resource.deadline)}`}
+                  {resource.deadline > now && resource.deadline - now < DUE_SOON_SECONDS && ' - return soon to avoid a penalty'}
+                  <br />
+                  Refund if returned now: {formatToken(resource.preview.refundAmount, resource.stakeToken)}
+                  {resource.preview.penalty > 0n && ` (penalty ${formatToken(resource.preview.penalty, resource.stakeToken)})`}
+                  {resource.noReward && resource.deadline > now && ' (no on-time reward: the pool could not back it when you borrowed)'}
+                </span>
+                <span>
+                  <button onClick={() => openResource(resource.id)}>Details</button>
+                  {resource.renewalsLeft > 0 && !pauseStatus.paused && (
+                    <button
+                      disabled={busy}
+                      onClick={() => extendBorrow(resource.id)}
+                      title={`New due date: ${new Date((resource.deadline + resource.extensionDuration) * 1000).toLocaleString()}`}
+                    >
+                      Extend to {new Date((resource.deadline + resource.extensionDuration) * 1000).toLocaleDateString()}
+                    </button>
+                  )}
+                  <button disabled={busy} onClick={() => returnResource(resource.id)}>Return</button>
+                  {pauseStatus.emergency && (
+                    <button disabled={busy} onClick={() => emergencyWithdraw(resource.id)}>Reclaim Stake</button>
+                  )}
+                </span>
               </li>
             ))}
           </ul>
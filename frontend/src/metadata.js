@@ -0,0 +1,61 @@
+// Resource metadata: the JSON a resource's metadataURI points to, described
+// by metadata.schema.json. It is fetched through a gateway set with
+// VITE_METADATA_GATEWAY in frontend/.env.local:
+//
+//   VITE_METADATA_GATEWAY=https://ipfs.io   (the default) any IPFS HTTP gateway
+//   VITE_METADATA_GATEWAY=local             files in frontend/public/metadata,
+//                                           for development without IPFS
+//
+// With the local gateway, ipfs://example-drill.json is served from
+// public/metadata/example-drill.json.
+const GATEWAY = import.meta.env.VITE_METADATA_GATEWAY || 'https://ipfs.io';
+
+// metadata.schema.json's condition values
+const CONDITIONS = ['new', 'good', 'fair', 'worn'];
+
+/**
+ * Returns the HTTP URL to fetch an ipfs:// or http(s):// URI from, or null
+ * for anything else.
+ */
+export const resolveUri = (uri) => {
+  if (!uri) return null;
+  if (/^https?:\/\//i.test(uri)) return uri;
+
+  const match = uri.match(/^ipfs:\/\/(?:ipfs\/)?(.+)$/i);
+  if (!match) return null;
+  return GATEWAY === 'local'
+    ? `${import.meta.env.BASE_URL}metadata/${match[1]}`
+    : `${GATEWAY.replace(/\/$/, '')}/ipfs/${match[1]}`;
+};
+
+// Keeps a schema field only if it is a non-empty string
+const text = (value) => (typeof value === 'string' && value.trim() !== '' ? value.trim() : null);
+
+/**
+ * Fetches a resource's metadata and keeps the fields of the schema,
+ * dropping any of the wrong type. Links come back resolved to HTTP URLs.
+ * Throws if the URI cannot be fetched or is not JSON.
+ */
+export const fetchMetadata = async (uri) => {
+  const url = resolveUri(uri);
+  if (!url) {
+    throw new Error(`Unsupported metadata URI: ${uri}`);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Metadata request failed with status ${response.status}`);
+  }
+  const metadata = await response.json();
+
+  const condition = text(metadata.condition)?.toLowerCase();
+  return {
+    name: text(metadata.name),
+    description: text(metadata.description),
+    image: resolveUri(text(metadata.image)),
+    category: text(metadata.category),
+    condition: CONDITIONS.includes(condition) ? condition : null,
+    location: text(metadata.location),
+    download: resolveUri(text(metadata.download)),
+  };
+};
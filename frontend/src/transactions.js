@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+
+// Block explorers to link transactions to, by chainId. Local chains have none.
+const EXPLORERS = {
+  1: 'https://etherscan.io',
+  11155111: 'https://sepolia.etherscan.io',
+};
+
+// Stake tokens revert with OpenZeppelin's custom errors, which bubble up
+// through the circle without being in its ABI
+const tokenErrors = new ethers.Interface([
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC2612ExpiredSignature(uint256 deadline)',
+  'error ERC2612InvalidSigner(address signer, address owner)',
+]);
+
+// The circle's revert strings that a borrower or lender is likely to hit,
+// reworded for them. Anything else is shown as the contract wrote it.
+const REVERT_MESSAGES = {
+  'Resource at max capacity': 'Every copy of this item is already borrowed. Join the waitlist to get it next.',
+  'Resource is not available': 'This item has been delisted and cannot be borrowed right now.',
+  'You are already borrowing this': 'You already have this item. Return it before borrowing it again.',
+  'Others are waiting for this resource': 'Someone on the waitlist is ahead of you for this item.',
+  'You are already on the waitlist': 'You are already on the waitlist for this item.',
+  'You are not on the waitlist': 'You are not on the waitlist for this item.',
+  'Resource is not at max capacity': 'This item is available, so you can borrow it straight away.',
+  'No active borrow for this resource': 'You are not borrowing this item.',
+  'You are not borrowing this item': 'You are not borrowing this item.',
+  'Borrow is already overdue': 'This borrow is already overdue and can no longer be extended.',
+  'No renewals left for this borrow': 'This borrow has used all of its extensions.',
+  'Token transfer failed. (Did you approve?)': 'The stake could not be collected. Check your token balance and approval.',
+  'Circle is paused': 'The circle is paused, so this action is unavailable for now.',
+  'Caller is not a member': 'Only members of this circle can borrow. Ask a curator to add you or join with an invite.',
+  'Caller is not an approved lender': 'Only approved lenders can list items in this circle.',
+  'Caller is missing the required role': 'Your account does not have the role this action needs.',
+  'Caller is not the owner': 'Only the circle owner can do this.',
+  'Insufficient free funds in reward pool': 'The reward pool does not have enough unreserved funds for this.',
+  'Insufficient pool shares': 'You do not hold that many pool shares.',
+  'Insufficient treasury shares': 'Depositors own the rest of this pool; the treasury can only withdraw its own part.',
+  'Invalid invite proof': 'This invite proof is not valid for your address.',
+  'Membership was revoked': 'Your membership of this circle was revoked.',
+  'No earnings to withdraw': 'You have no earnings in this token yet.',
+};
+
+// Describes a decoded revert: a require() string or one of the token's custom errors
+const describeRevert = (parsed) => {
+  switch (parsed.name) {
+    case 'Error':
+      return REVERT_MESSAGES[parsed.args[0]] || parsed.args[0];
+    case 'ERC20InsufficientBalance':
+      return 'Your token balance is too low for this.';
+    case 'ERC20InsufficientAllowance':
+      return 'The circle is not approved to spend enough of your tokens.';
+    case 'ERC2612ExpiredSignature':
+      return 'The signed permit expired. Please try again.';
+    default:
+      return `The transaction reverted with ${parsed.name}.`;
+  }
+};
+
+// Finds revert data in an ethers error, which wallets nest in different places
+const revertData = (error) => {
+  for (let current = error; current; current = current.error || current.info?.error) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x')) return current.data;
+    if (typeof current.data?.data === 'string') return current.data.data;
+  }
+  return null;
+};
+
+/**
+ * Turns a failed wallet request or transaction into a message for the user.
+ */
+export const describeError = (error) => {
+  if (error.code === 'ACTION_REJECTED') {
+    return 'You rejected the request in your wallet.';
+  }
+
+  if (error.reason) {
+    return REVERT_MESSAGES[error.reason] || error.reason;
+  }
+  if (error.revert) {
+    return describeRevert(error.revert);
+  }
+
+  const data = revertData(error);
+  if (data) {
+    const parsed = tokenErrors.parseError(data);
+    if (parsed) {
+      return describeRevert(parsed);
+    }
+  }
+
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return 'Your account does not have enough ETH to pay for gas.';
+  }
+  return error.shortMessage || error.message || 'The transaction failed.';
+};
+
+// Returns a link to the transaction on a block explorer, or null on local chains
+export const transactionUrl = (chainId, hash) =>
+  EXPLORERS[chainId] ? `${EXPLORERS[chainId]}/tx/${hash}` : null;
@@ -1,170 +1,56 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-// We import the standard interface for an ERC-20 token.
-// Our contract will interact with ANY token that follows this standard.
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./LendingCircleBase.sol";
 
-contract LendingCircle {
-    
-    // --- State Variables ---
-
-    // The ERC-20 token contract we will use for staking
-    // 'immutable' means it can only be set once in the constructor.
-    IERC20 public immutable stakeToken;
-
-    // The address that can add resources, withdraw penalties, etc.
-    address public owner;
-
-    // A pool to hold collected penalties, which can then fund rewards
-    uint256 public rewardPool;
-
-    // Counter to create unique IDs for new resources
-    uint256 private _resourceIdCounter;
-
-    // --- Structs & Enums ---
-
-    // Define the two types of resources
-    enum ResourceType { PHYSICAL, DIGITAL }
-
-    // This struct defines a lendable resource
-    struct Resource {
-        uint256 id;
-        string name;
-        ResourceType resourceType;
-        uint256 maxConcurrentBorrows; // 1 for PHYSICAL, N for DIGITAL
-        uint256 currentBorrowerCount;
-        uint256 stakeAmount;         // The "deposit" required in stakeToken
-        uint256 borrowDuration;      // Max borrow time in seconds (e.g., 604800 for 7 days)
-        uint256 latePenaltyPerDay;   // Penalty deducted from stake for each day overdue
-        uint256 onTimeReward;        // Small reward for returning on time
-        string metadataURI;          // Link to IPFS for image/description/file link
-        bool active;                 // To allow "delisting"
-    }
-
-    // This struct tracks an active borrow
-    struct BorrowRecord {
-        address borrower;
-        uint256 resourceId;
-        uint256 borrowTime;        // block.timestamp when borrowed
-        uint256 stakeDeposited;
-        bool isActive;
-    }
-
-    // --- Mappings (The "Database") ---
+// Borrowing, returns, waitlists, disputes and the catalog views.
+// Any function not found here is forwarded to the LendingCircleAdmin module,
+// so the circle's full interface is the ABI of both contracts together.
+contract LendingCircle is LendingCircleBase {
+    using EnumerableSet for EnumerableSet.UintSet;
 
-    // Maps a resourceId to its Resource struct
-    mapping(uint256 => Resource) public resources;
+    // Module that runs the management functions against this contract's storage
+    address public immutable adminModule;
 
-    // Maps a user's address to their active borrow record for a specific resource
-    // A user can borrow multiple different resources simultaneously
-    // mapping(address => mapping(uint256 => BorrowRecord))
-    mapping(address => mapping(uint256 => BorrowRecord)) public activeBorrows;
-
-    // --- Modifiers ---
+    /**
+     * @dev Allows the first ERC-20 token resources can take stakes in.
+     * The deployer becomes the owner and starts with every role.
+     * @param _adminModule Deployed LendingCircleAdmin to delegate management calls to
+     */
+    constructor(address _tokenAddress, address _adminModule) {
+        adminModule = _adminModule;
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "Caller is not the owner");
-        _;
+        // Set up storage the same way LendingCircleFactory sets up its clones
+        (bool success, bytes memory result) = _adminModule.delegatecall(
+            abi.encodeWithSignature("initialize(address,address)", _tokenAddress, msg.sender)
+        );
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
     }
 
-    // --- Events ---
-
-    event ResourceAdded(
-        uint256 indexed resourceId, 
-        string name, 
-        uint256 stakeAmount, 
-        uint256 maxConcurrentBorrows
-    );
-    event ResourceBorrowed(
-        uint256 indexed resourceId, 
-        address indexed borrower, 
-        uint256 stakeAmount, 
-        uint256 deadline
-    );
-    event ResourceReturned(
-        uint256 indexed resourceId, 
-        address indexed borrower, 
-        uint256 refundAmount, 
-        uint256 penaltyPaid
-    );
-
-    // --- Functions ---
-
     /**
-     * @dev Sets the address of the ERC-20 token to be used for staking.
+     * @dev True once the circle has been paused for EMERGENCY_DELAY.
      */
-    constructor(address _tokenAddress) {
-        stakeToken = IERC20(_tokenAddress);
-        owner = msg.sender;
-        _resourceIdCounter = 1; // Start counter at 1
+    function emergencyMode() public view returns (bool) {
+        return paused && block.timestamp >= pausedAt + EMERGENCY_DELAY;
     }
 
     /**
-     * @dev Adds a new resource to the lending pool. Only callable by the owner.
-     * @param _name Name of the resource (e.g., "Distributed Systems Textbook")
-     * @param _type PHYSICAL (0) or DIGITAL (1)
-     * @param _maxBorrows Max concurrent users (1 for PHYSICAL)
-     * @param _stake Amount of stakeToken required to borrow
-     * @param _duration The borrow duration in seconds
-     * @param _penalty Penalty per day (in seconds) overdue
-     * @param _reward Reward for returning on time
-     * @param _metadataURI IPFS hash or URL for resource details
+     * @dev Returns every token that has been allowed, including ones since removed.
+     * Check allowedStakeTokens for the current status.
      */
-    function addResource(
-        string memory _name,
-        ResourceType _type,
-        uint256 _maxBorrows,
-        uint256 _stake,
-        uint256 _duration,
-        uint256 _penalty,
-        uint256 _reward,
-        string memory _metadataURI
-    ) public onlyOwner {
-        // Validation
-        require(bytes(_name).length > 0, "Name cannot be empty");
-        require(_stake > 0, "Stake must be greater than zero");
-        require(_duration > 0, "Duration must be greater than zero");
-        
-        if (_type == ResourceType.PHYSICAL) {
-            require(_maxBorrows == 1, "Physical items must have maxBorrows = 1");
-        } else {
-            require(_maxBorrows > 0, "Digital items must allow at least 1 borrow");
-        }
-
-        // Get new ID
-        uint256 newId = _resourceIdCounter;
-
-        // Create and save the new resource
-        resources[newId] = Resource({
-            id: newId,
-            name: _name,
-            resourceType: _type,
-            maxConcurrentBorrows: _maxBorrows,
-            currentBorrowerCount: 0,
-            stakeAmount: _stake,
-            borrowDuration: _duration,
-            latePenaltyPerDay: _penalty,
-            onTimeReward: _reward,
-            metadataURI: _metadataURI,
-            active: true
-        });
-
-
-
-
-        // Increment the counter for the next resource
-        _resourceIdCounter++;
-
-        // Emit an event to log this on the blockchain
-        emit ResourceAdded(newId, _name, _stake, _maxBorrows);
+    function getStakeTokens() public view returns (address[] memory) {
+        return _stakeTokens;
     }
 
     /**
      * @dev Allows a user to borrow an active and available resource.
-     * User must have first approved the contract to spend their stakeToken.
+     * User must have first approved the contract to spend the resource's stakeToken.
      */
-    function borrowResource(uint256 _resourceId) public {
+    function borrowResource(uint256 _resourceId) public whenNotPaused onlyMember {
         // 1. --- Checks ---
         
         // Get the resource from storage
@@ -173,9 +59,17 @@ contract LendingCircle {
         // Check if the resource is active/listed
         require(resource.active, "Resource is not available");
         
+        // Slots offered to waitlisted users are held for them until their
+        // claim runs out. A user with a live claim takes their own slot.
+        Waitlist.Queue storage waitlist = _waitlists[_resourceId];
+        uint256 reservedSlots = Waitlist.pruneClaims(waitlist);
+        if (Waitlist.takeClaim(waitlist, msg.sender)) {
+            reservedSlots--;
+        }
+
         // Check if the resource is at full borrowing capacity
         require(
-            resource.currentBorrowerCount < resource.maxConcurrentBorrows,
+            resource.currentBorrowerCount + reservedSlots < resource.maxConcurrentBorrows,
             "Resource at max capacity"
         );
         
@@ -185,127 +79,446 @@ contract LendingCircle {
             "You are already borrowing this"
         );
 
+        // A new return would overwrite the refund still held from the last one
+        require(
+            escrows[msg.sender][_resourceId].amount == 0,
+            "Your last return is still in escrow"
+        );
+
         // 2. --- Staking ---
-        uint256 stake = resource.stakeAmount;
+        // Reliable borrowers put up less stake and earn a bigger reward
+        (uint256 stake, uint256 rewardBonus) = _quoteStake(msg.sender, resource.stakeAmount);
+        uint256 reward = resource.onTimeReward + (resource.onTimeReward * rewardBonus) / 10000;
 
         // This is the crucial step. The user must have already called
         // token.approve(this_contract_address, stake)
         // This 'transferFrom' pulls the stake from the user's wallet
         // and holds it in this contract.
-        bool success = stakeToken.transferFrom(msg.sender, address(this), stake);
+        bool success = IERC20(resource.stakeToken).transferFrom(msg.sender, address(this), stake);
         require(success, "Token transfer failed. (Did you approve?)");
 
         // 3. --- Update State ---
-        
+
+        // Reserve the reward now, so returning on time is guaranteed to pay
+        // it. A pool that cannot back it means this borrow earns no reward.
+        if (reward > rewardPool[resource.stakeToken] - committedRewards[resource.stakeToken]) {
+            emit RewardNotReserved(_resourceId, msg.sender, reward);
+            reward = 0;
+        }
+        committedRewards[resource.stakeToken] += reward;
+
         // Increment the number of current borrowers for this resource
         resource.currentBorrowerCount++;
+        borrowCount[_resourceId]++;
+
+        // A waitlisted user who gets a slot some other way is done waiting,
+        // so a slot they free later goes to whoever is next
+        if (waitlist.index[msg.sender] != 0) {
+            Waitlist.leave(waitlist, msg.sender);
+            emit WaitlistLeft(_resourceId, msg.sender);
+        }
+        _borrowedIds[msg.sender].add(_resourceId);
+        _updateIndexes(_resourceId);
 
         // Create a new borrow record for the user
+        uint256 deadline = block.timestamp + resource.borrowDuration;
         activeBorrows[msg.sender][_resourceId] = BorrowRecord({
             borrower: msg.sender,
             resourceId: _resourceId,
             borrowTime: block.timestamp,
             stakeDeposited: stake,
-            isActive: true
+            isActive: true,
+            deadline: deadline,
+            latePenaltyPerDay: resource.latePenaltyPerDay,
+            onTimeReward: reward,
+            renewals: 0,
+            penaltyCurve: penaltyCurveOf[_resourceId]
         });
 
         // 4. --- Emit Event ---
-        uint256 deadline = block.timestamp + resource.borrowDuration;
         emit ResourceBorrowed(_resourceId, msg.sender, stake, deadline);
     }
 
-    function getAvailableResources() public view returns (uint256[] memory) {
-        uint256 availableCount = 0;
-        for (uint256 i = 1; i < _resourceIdCounter; i++) {
-            if (resources[i].active && resources[i].currentBorrowerCount < resources[i].maxConcurrentBorrows) {
-                availableCount++;
-            }
-        }
+    /**
+     * @dev Same as borrowResource, but takes an EIP-2612 permit for the stake
+     * instead of a prior approve() call. The permit must be signed for
+     * exactly getRequiredStake(msg.sender, _resourceId).
+     */
+    function borrowResourceWithPermit(
+        uint256 _resourceId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        (uint256 stake, ) = _quoteStake(msg.sender, resources[_resourceId].stakeAmount);
+        _permit(resources[_resourceId].stakeToken, stake, _deadline, _v, _r, _s);
+        borrowResource(_resourceId);
+    }
 
-        uint256[] memory availableResources = new uint256[](availableCount);
-        uint256 counter = 0;
-        for (uint256 i = 1; i < _resourceIdCounter; i++) {
-            if (resources[i].active && resources[i].currentBorrowerCount < resources[i].maxConcurrentBorrows) {
-                availableResources[counter] = i;
-                counter++;
-            }
+    /**
+     * @dev Pushes back the deadline of an active borrow, following the
+     * resource's RenewalPolicy. Must be called before the deadline passes.
+     * If the policy asks for extra stake, the user must have approved it first.
+     */
+    function extendBorrow(uint256 _resourceId) public whenNotPaused {
+        // 1. --- Checks ---
+        BorrowRecord storage borrowRecord = activeBorrows[msg.sender][_resourceId];
+        require(borrowRecord.isActive, "You are not borrowing this item");
+        require(block.timestamp <= borrowRecord.deadline, "Borrow is already overdue");
+
+        RenewalPolicy memory policy = renewalPolicies[_resourceId];
+        require(borrowRecord.renewals < policy.maxRenewals, "No renewals left for this borrow");
+        require(_waitlists[_resourceId].size == 0, "Others are waiting for this resource");
+
+        // 2. --- Top-up Stake ---
+        uint256 extraStake = policy.extensionStake;
+        if (extraStake > 0) {
+            bool success = IERC20(resources[_resourceId].stakeToken).transferFrom(msg.sender, address(this), extraStake);
+            require(success, "Token transfer failed. (Did you approve?)");
+            borrowRecord.stakeDeposited += extraStake;
         }
 
-        return availableResources;
+        // 3. --- Update State ---
+        borrowRecord.renewals++;
+        borrowRecord.deadline += policy.extensionDuration;
+
+        // 4. --- Emit Event ---
+        emit BorrowExtended(_resourceId, msg.sender, extraStake, borrowRecord.deadline);
+    }
+
+    /**
+     * @dev Joins the waitlist of a resource that is at max capacity.
+     * When a slot frees up, waiters are offered it in the order they joined.
+     */
+    function joinWaitlist(uint256 _resourceId) public resourceExists(_resourceId) onlyMember {
+        Resource storage resource = resources[_resourceId];
+        require(resource.active, "Resource is not available");
+
+        Waitlist.Queue storage waitlist = _waitlists[_resourceId];
+        require(
+            resource.currentBorrowerCount + Waitlist.pruneClaims(waitlist) >= resource.maxConcurrentBorrows,
+            "Resource is not at max capacity"
+        );
+        require(!activeBorrows[msg.sender][_resourceId].isActive, "You are already borrowing this");
+
+        uint256 position = Waitlist.join(waitlist, msg.sender);
+        emit WaitlistJoined(_resourceId, msg.sender, position);
+    }
+
+    /**
+     * @dev Leaves the waitlist of a resource.
+     */
+    function leaveWaitlist(uint256 _resourceId) public {
+        Waitlist.leave(_waitlists[_resourceId], msg.sender);
+        emit WaitlistLeft(_resourceId, msg.sender);
+    }
+
+    /**
+     * @dev Returns a user's 1-based place in the waitlist, or 0 if they are not on it.
+     */
+    function getWaitlistPosition(uint256 _resourceId, address _user) public view returns (uint256) {
+        return Waitlist.position(_waitlists[_resourceId], _user);
+    }
+
+    function getWaitlistLength(uint256 _resourceId) public view returns (uint256) {
+        return _waitlists[_resourceId].size;
+    }
+
+    /**
+     * @dev Returns when a user's claim on a freed slot runs out, or 0 if they have none.
+     */
+    function claimExpiry(uint256 _resourceId, address _user) public view returns (uint256) {
+        return _waitlists[_resourceId].claimExpiry[_user];
+    }
+
+    /**
+     * @dev Number of a resource's slots currently held for waitlisted users.
+     * Nobody else can borrow them, so a resource is full once its borrowers
+     * and these slots add up to maxConcurrentBorrows.
+     */
+    function getReservedSlots(uint256 _resourceId) public view returns (uint256) {
+        return Waitlist.reservedSlots(_waitlists[_resourceId]);
+    }
+
+    /**
+     * @dev Returns every resource that can be borrowed right now. This reads
+     * the whole availability index; use getAvailableResourcesPage for large catalogs.
+     */
+    function getAvailableResources() public view returns (uint256[] memory ids) {
+        (ids, ) = _page(_availableIds, 0, _availableIds.length(), false, ResourceType.PHYSICAL, true);
+    }
+
+    /**
+     * @dev Returns listed resources with no free slot, which users can waitlist.
+     * Use getFullResourcesPage for large catalogs.
+     */
+    function getFullResources() public view returns (uint256[] memory ids) {
+        (ids, ) = _page(_listedIds, 0, _listedIds.length(), false, ResourceType.PHYSICAL, false);
     }
 
     function getMyBorrowedResources() public view returns (uint256[] memory) {
-        uint256 borrowedCount = 0;
-        for (uint256 i = 1; i < _resourceIdCounter; i++) {
-            if (activeBorrows[msg.sender][i].isActive) {
-                borrowedCount++;
-            }
+        return _borrowedIds[msg.sender].values();
+    }
+
+    /**
+     * @dev Pages through the resources that can be borrowed right now.
+     * Each call reads at most _limit index entries, so a page holds fewer IDs,
+     * possibly none, when some entries do not match. Keep calling until
+     * nextCursor is 0 to see everything.
+     * @param _cursor Where to start; 0 for the first page, then the returned nextCursor
+     * @param _limit Most index entries to read
+     * @param _filterByType Only return resources of _type
+     * @return ids Matching resource IDs, at most _limit of them
+     * @return nextCursor Cursor for the next page, or 0 when there are no more
+     */
+    function getAvailableResourcesPage(
+        uint256 _cursor,
+        uint256 _limit,
+        bool _filterByType,
+        ResourceType _type
+    ) public view returns (uint256[] memory ids, uint256 nextCursor) {
+        return _page(_availableIds, _cursor, _limit, _filterByType, _type, true);
+    }
+
+    /**
+     * @dev Pages through listed resources with no free slot. Works like getAvailableResourcesPage.
+     */
+    function getFullResourcesPage(
+        uint256 _cursor,
+        uint256 _limit,
+        bool _filterByType,
+        ResourceType _type
+    ) public view returns (uint256[] memory ids, uint256 nextCursor) {
+        return _page(_listedIds, _cursor, _limit, _filterByType, _type, false);
+    }
+
+    /**
+     * @dev Pages through the resources a borrower currently holds.
+     */
+    function getBorrowedResourcesPage(
+        address _borrower,
+        uint256 _offset,
+        uint256 _limit
+    ) public view returns (uint256[] memory ids) {
+        return _slice(_borrowedIds[_borrower], _offset, _limit);
+    }
+
+    function getBorrowedResourceCount(address _borrower) public view returns (uint256) {
+        return _borrowedIds[_borrower].length();
+    }
+
+    /**
+     * @dev Pages through the resources a lender has listed, including delisted ones.
+     */
+    function getResourcesByLenderPage(
+        address _lender,
+        uint256 _offset,
+        uint256 _limit
+    ) public view returns (uint256[] memory ids) {
+        return _slice(_lenderIds[_lender], _offset, _limit);
+    }
+
+    function getLenderResourceCount(address _lender) public view returns (uint256) {
+        return _lenderIds[_lender].length();
+    }
+
+    /**
+     * @dev Returns up to _limit entries of an index starting at _offset.
+     */
+    function _slice(
+        EnumerableSet.UintSet storage _index,
+        uint256 _offset,
+        uint256 _limit
+    ) private view returns (uint256[] memory ids) {
+        uint256 end = _offset + _limit;
+        if (end > _index.length()) {
+            end = _index.length();
+        }
+        if (_offset >= end) {
+            return ids;
+        }
+
+        ids = new uint256[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            ids[i - _offset] = _index.at(i);
+        }
+    }
+
+    /**
+     * @dev Number of entries in the availability index. Some of them may be
+     * held for waitlist claims, so a full read can return fewer.
+     */
+    function getAvailableResourceCount() public view returns (uint256) {
+        return _availableIds.length();
+    }
+
+    /**
+     * @dev Reads up to _limit entries of an index from _cursor, keeping the
+     * resources whose type matches and whose free-slot status (after waitlist
+     * claims) is _available.
+     */
+    function _page(
+        EnumerableSet.UintSet storage _index,
+        uint256 _cursor,
+        uint256 _limit,
+        bool _filterByType,
+        ResourceType _type,
+        bool _available
+    ) private view returns (uint256[] memory ids, uint256 nextCursor) {
+        uint256[] memory found = new uint256[](_limit);
+        uint256 count = 0;
+        uint256 end = _cursor + _limit;
+        if (end > _index.length()) {
+            end = _index.length();
         }
 
-        uint256[] memory borrowedResources = new uint256[](borrowedCount);
-        uint256 counter = 0;
-        for (uint256 i = 1; i < _resourceIdCounter; i++) {
-            if (activeBorrows[msg.sender][i].isActive) {
-                borrowedResources[counter] = i;
-                counter++;
+        uint256 i = _cursor;
+        for (; i < end; i++) {
+            uint256 id = _index.at(i);
+            Resource storage resource = resources[id];
+            if (_filterByType && resource.resourceType != _type) {
+                continue;
+            }
+            bool free = resource.currentBorrowerCount + getReservedSlots(id) < resource.maxConcurrentBorrows;
+            if (free == _available) {
+                found[count] = id;
+                count++;
             }
         }
 
-        return borrowedResources;
+        ids = new uint256[](count);
+        for (uint256 j = 0; j < count; j++) {
+            ids[j] = found[j];
+        }
+        nextCursor = i < _index.length() ? i : 0;
     }
 
     function getResourceDetails(uint256 _resourceId) public view returns (Resource memory) {
         return resources[_resourceId];
     }
+
+    /**
+     * @dev Returns a borrower's return history and the tier it currently earns.
+     * @return profile The borrower's counters
+     * @return tier 1-based index into reputationTiers, 0 if no tier is reached
+     * @return stakeDiscount Basis points off the required stake
+     * @return rewardBonus Basis points added to the on-time reward
+     */
+    function getBorrowerProfile(address _borrower)
+        public
+        view
+        returns (
+            BorrowerProfile memory profile,
+            uint256 tier,
+            uint256 stakeDiscount,
+            uint256 rewardBonus
+        )
+    {
+        profile = _borrowerProfiles[_borrower];
+        (tier, stakeDiscount, rewardBonus) = Reputation.tierFor(reputationTiers, profile.currentStreak);
+    }
+
+    /**
+     * @dev Returns the late penalties a borrower has paid in one stake token,
+     * including stakes forfeited to liquidation.
+     */
+    function getPenaltiesPaid(address _borrower, address _token) public view returns (uint256) {
+        return _penaltiesPaid[_borrower][_token];
+    }
+
+    /**
+     * @dev Returns the stake a borrower has to approve to borrow a resource.
+     */
+    function getRequiredStake(address _borrower, uint256 _resourceId) public view returns (uint256 stake) {
+        (stake, ) = _quoteStake(_borrower, resources[_resourceId].stakeAmount);
+    }
+
+    /**
+     * @dev Applies the borrower's tier discount to a stake.
+     * @return stake What the borrower has to put up
+     * @return rewardBonus Basis points their tier adds to the on-time reward
+     */
+    function _quoteStake(address _borrower, uint256 _baseStake) private view returns (uint256 stake, uint256 rewardBonus) {
+        uint256 stakeDiscount;
+        (, stakeDiscount, rewardBonus) = Reputation.tierFor(reputationTiers, _borrowerProfiles[_borrower].currentStreak);
+        stake = _baseStake - (_baseStake * stakeDiscount) / 10000;
+    }
+
+    /**
+     * @dev Returns the IDs of every resource listed by a lender, including
+     * delisted ones. Use getResourcesByLenderPage for lenders with many listings.
+     */
+    function getResourcesByLender(address _lender) public view returns (uint256[] memory) {
+        return _lenderIds[_lender].values();
+    }
+
+    /**
+     * @dev Returns the number of resources ever added, listed or not.
+     * Resource IDs run from 1 to this value.
+     */
+    function getResourceCount() public view returns (uint256) {
+        return _resourceIdCounter - 1;
+    }
+
     
     /**
      * @dev Internal function to calculate refund and penalty.
      * This makes the logic testable and reusable.
      */
     function _calculateRefund(
-        BorrowRecord memory _borrow,
-        Resource memory _resource
+        BorrowRecord memory _borrow
     )
         private
         view
         returns (uint256 refundAmount, uint256 penalty)
     {
-        uint256 timeElapsed = block.timestamp - _borrow.borrowTime;
         uint256 stake = _borrow.stakeDeposited;
 
-        if (timeElapsed <= _resource.borrowDuration) {
+        if (block.timestamp <= _borrow.deadline) {
             // --- On-Time Return ---
-            uint256 reward = _resource.onTimeReward;
-
-            // Check if reward pool can cover the reward
-            if (rewardPool >= reward) {
-                // Full stake + reward
-                refundAmount = stake + reward;
-            } else {
-                // Reward pool is empty, just return the stake
-                refundAmount = stake;
-            }
+            // Full stake + the reward reserved at borrow time
+            refundAmount = stake + _borrow.onTimeReward;
             penalty = 0;
-            
+
         } else {
             // --- Late Return ---
-            uint256 overdueTime = timeElapsed - _resource.borrowDuration;
-            
-            // Calculate number of full days overdue.
-            uint256 daysOverdue = ((overdueTime - 1) / 1 days) + 1;
-            
-            penalty = daysOverdue * _resource.latePenaltyPerDay;
-
-            // Cap the penalty at the stake amount.
+            uint256 overdueTime = block.timestamp - _borrow.deadline;
+
+            // The curve caps the penalty at the stake amount.
             // The user can't lose more than they staked.
-            if (penalty > stake) {
-                penalty = stake;
-            }
+            penalty = Penalties.penaltyFor(
+                _penaltyCurves,
+                _borrow.penaltyCurve,
+                _borrow.latePenaltyPerDay,
+                overdueTime,
+                stake
+            );
 
             refundAmount = stake - penalty;
         }
     }
 
+    /**
+     * @dev Shows what returning a borrow right now would pay out, using the
+     * same calculation as returnResource.
+     */
+    function previewReturn(address _borrower, uint256 _resourceId) public view returns (ReturnPreview memory preview) {
+        BorrowRecord memory borrowRecord = activeBorrows[_borrower][_resourceId];
+        require(borrowRecord.isActive, "No active borrow for this resource");
+
+        (preview.refundAmount, preview.penalty) = _calculateRefund(borrowRecord);
+        preview.penaltyLimit = Penalties.limitFor(_penaltyCurves, borrowRecord.penaltyCurve, borrowRecord.stakeDeposited);
+
+        preview.deadline = borrowRecord.deadline;
+        if (block.timestamp <= borrowRecord.deadline) {
+            preview.secondsRemaining = borrowRecord.deadline - block.timestamp;
+            preview.reward = borrowRecord.onTimeReward;
+        } else {
+            preview.secondsOverdue = block.timestamp - borrowRecord.deadline;
+        }
+    }
+
     /**
      * @dev Allows a user to return a borrowed resource.
      * Calculates and pays out rewards or penalties.
@@ -318,39 +531,43 @@ contract LendingCircle {
         require(borrowRecord.isActive, "You are not borrowing this item");
 
         // 2. --- Calculations ---
-        // Get a copy of the resource in memory for calculations
-        Resource memory resource = resources[_resourceId];
-        
-        (uint256 refundAmount, uint256 penalty) = _calculateRefund(
-            borrowRecord,
-            resource
-        );
+        // The terms were copied into the borrow record when it was created
+        address token = resources[_resourceId].stakeToken;
+        (uint256 refundAmount, uint256 penalty) = _calculateRefund(borrowRecord);
 
         // 3. --- Penalty/Reward Logic & State Update ---
         if (penalty > 0) {
-            // Late Return: Add penalty to the reward pool
-            rewardPool += penalty;
+            _chargePenalty(msg.sender, _resourceId, token, penalty);
         } else {
-            // On-Time Return: Deduct reward from the pool
-            // We calculate the reward *again* to be explicit
-            uint256 reward = resource.onTimeReward;
-            if (rewardPool >= reward) {
-                rewardPool -= reward;
-            }
-            // If rewardPool < reward, refundAmount was already
-            // capped in _calculateRefund, so rewardPool is safe.
+            BorrowerProfile storage profile = _borrowerProfiles[msg.sender];
+            profile.onTimeReturns++;
+            profile.currentStreak++;
+
+            // On-Time Return: Pay the reserved reward out of the pool.
+            // _endBorrow releases the reservation itself.
+            rewardPool[token] -= borrowRecord.onTimeReward;
         }
 
         // 4. --- Cleanup State ---
         // We clean up the state *before* sending tokens
         // This is a best practice (Checks-Effects-Interactions pattern)
-        borrowRecord.isActive = false;
-        // Get the resource from *storage* to modify it
-        resources[_resourceId].currentBorrowerCount--;
+        _endBorrow(msg.sender, _resourceId);
+        _offerFreedSlot(_resourceId);
 
         // 5. --- Send Funds ---
-        if (refundAmount > 0) {
-            bool success = stakeToken.transfer(msg.sender, refundAmount);
+        // PHYSICAL refunds are held until the lender has had a chance to check the item
+        if (refundAmount > 0 && disputeWindow > 0 && resources[_resourceId].resourceType == ResourceType.PHYSICAL) {
+            uint256 releaseTime = block.timestamp + disputeWindow;
+            escrows[msg.sender][_resourceId] = Disputes.Escrow({
+                amount: refundAmount,
+                releaseTime: releaseTime,
+                disputed: false,
+                disputeDeadline: 0,
+                evidenceURI: ""
+            });
+            emit RefundEscrowed(_resourceId, msg.sender, refundAmount, releaseTime);
+        } else if (refundAmount > 0) {
+            bool success = IERC20(token).transfer(msg.sender, refundAmount);
             require(success, "Refund transfer failed");
         }
 
@@ -364,22 +581,203 @@ contract LendingCircle {
     }
 
     /**
-     * @dev Allows owner to deposit tokens into the reward pool
+     * @dev Closes an abandoned borrow once the late penalty has reached its
+     * limit: the whole stake, or the curve's cap if that is lower. The whole
+     * stake is forfeited either way, since the item is not coming back.
+     * Anyone can call it: the caller earns keeperBounty of the forfeited
+     * stake, and the rest is shared out like any late penalty.
      */
-    function depositToRewardPool(uint256 _amount) public onlyOwner {
-        require(_amount > 0, "Amount must be greater than 0");
-        bool success = stakeToken.transferFrom(msg.sender, address(this), _amount);
-        require(success, "Token transfer failed");
-        rewardPool += _amount;
+    function liquidate(address _borrower, uint256 _resourceId) public whenNotPaused {
+        BorrowRecord storage borrowRecord = activeBorrows[_borrower][_resourceId];
+        require(borrowRecord.isActive, "No active borrow for this resource");
+
+        address token = resources[_resourceId].stakeToken;
+        uint256 forfeited = borrowRecord.stakeDeposited;
+        (, uint256 penalty) = _calculateRefund(borrowRecord);
+        require(
+            block.timestamp > borrowRecord.deadline
+                && penalty == Penalties.limitFor(_penaltyCurves, borrowRecord.penaltyCurve, forfeited),
+            "Penalty has not reached its limit yet"
+        );
+
+        uint256 bounty = (forfeited * keeperBounty) / 10000;
+        _chargePenalty(_borrower, _resourceId, token, forfeited - bounty);
+        _penaltiesPaid[_borrower][token] += bounty;
+
+        _endBorrow(_borrower, _resourceId);
+        _offerFreedSlot(_resourceId);
+
+        if (bounty > 0) {
+            bool success = IERC20(token).transfer(msg.sender, bounty);
+            require(success, "Bounty transfer failed");
+        }
+
+        emit BorrowLiquidated(_resourceId, _borrower, msg.sender, forfeited, bounty);
+    }
+
+    /**
+     * @dev Records a late return on the borrower's profile and splits the
+     * penalty between a member lender and the reward pool.
+     * Curator-listed items feed the pool only.
+     */
+    function _chargePenalty(address _borrower, uint256 _resourceId, address _token, uint256 _penalty) private {
+        // A late return resets the borrower's streak
+        BorrowerProfile storage profile = _borrowerProfiles[_borrower];
+        profile.lateReturns++;
+        _penaltiesPaid[_borrower][_token] += _penalty;
+        profile.currentStreak = 0;
+
+        uint256 lenderShare = 0;
+        if (!hasRole[CURATOR_ROLE][resources[_resourceId].lender]) {
+            lenderShare = (_penalty * lenderPenaltyShare) / 10000;
+        }
+        _payLender(_resourceId, lenderShare);
+        rewardPool[_token] += _penalty - lenderShare;
+    }
+
+    /**
+     * @dev Closes a borrow record, frees its slot and releases its reserved reward.
+     */
+    function _endBorrow(address _borrower, uint256 _resourceId) private {
+        BorrowRecord storage borrowRecord = activeBorrows[_borrower][_resourceId];
+        borrowRecord.isActive = false;
+        committedRewards[resources[_resourceId].stakeToken] -= borrowRecord.onTimeReward;
+        resources[_resourceId].currentBorrowerCount--;
+        _borrowedIds[_borrower].remove(_resourceId);
+        _updateIndexes(_resourceId);
+    }
+
+    /**
+     * @dev Hands a freed slot to the next person on the waitlist.
+     */
+    function _offerFreedSlot(uint256 _resourceId) private {
+        Waitlist.Queue storage waitlist = _waitlists[_resourceId];
+        Waitlist.pruneClaims(waitlist);
+        (address next, uint256 expiresAt) = Waitlist.offerNext(waitlist, claimWindow);
+
+        // Someone already borrowing the item has no use for another slot
+        while (next != address(0) && activeBorrows[next][_resourceId].isActive) {
+            Waitlist.takeClaim(waitlist, next);
+            (next, expiresAt) = Waitlist.offerNext(waitlist, claimWindow);
+        }
+        if (next != address(0)) {
+            emit ClaimOffered(_resourceId, next, expiresAt);
+        }
+    }
+
+    /**
+     * @dev In emergency mode, gives a borrower back their full stake without
+     * returning the item. No penalty or reward applies and their profile is
+     * left untouched.
+     */
+    function emergencyWithdraw(uint256 _resourceId) public {
+        require(emergencyMode(), "Emergency mode is not active");
+        BorrowRecord storage borrowRecord = activeBorrows[msg.sender][_resourceId];
+        require(borrowRecord.isActive, "You are not borrowing this item");
+
+        uint256 amount = borrowRecord.stakeDeposited;
+        _endBorrow(msg.sender, _resourceId);
+        _offerFreedSlot(_resourceId);
+
+        bool success = IERC20(resources[_resourceId].stakeToken).transfer(msg.sender, amount);
+        require(success, "Refund transfer failed");
+
+        emit EmergencyWithdrawal(_resourceId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Flags a returned PHYSICAL item as damaged, freezing the borrower's
+     * escrowed refund until the arbiter settles it. Callable by a curator or the lender.
+     * @param _borrower Who returned the item
+     * @param _resourceId The damaged resource
+     * @param _evidenceURI IPFS hash or URL of photos or notes backing the claim
+     */
+    function flagDamage(
+        address _borrower,
+        uint256 _resourceId,
+        string memory _evidenceURI
+    ) public onlyResourceManager(_resourceId) {
+        Disputes.flag(escrows[_borrower][_resourceId], _evidenceURI, disputeTimeout);
+
+        emit DamageFlagged(_resourceId, _borrower, msg.sender, _evidenceURI);
+    }
+
+    /**
+     * @dev Settles a dispute. The damage amount goes to the lender (or the
+     * reward pool for curator-listed items) and the rest is refunded.
+     */
+    function resolveDispute(
+        address _borrower,
+        uint256 _resourceId,
+        uint256 _damageAmount
+    ) public onlyArbiter {
+        uint256 refundAmount = Disputes.resolve(escrows[_borrower][_resourceId], _damageAmount);
+
+        Resource storage resource = resources[_resourceId];
+        if (!hasRole[CURATOR_ROLE][resource.lender]) {
+            _payLender(_resourceId, _damageAmount);
+        } else {
+            rewardPool[resource.stakeToken] += _damageAmount;
+        }
+
+        if (refundAmount > 0) {
+            bool success = IERC20(resource.stakeToken).transfer(_borrower, refundAmount);
+            require(success, "Refund transfer failed");
+        }
+
+        emit DisputeResolved(_resourceId, _borrower, _damageAmount, refundAmount);
     }
 
     /**
-     * @dev Allows owner to withdraw tokens from the reward pool
+     * @dev Pays out an escrowed refund in full once the dispute window has
+     * closed, or once a dispute has gone unsettled past its timeout.
+     * Anyone can call this; the funds always go to the borrower.
      */
-    function withdrawFromRewardPool(uint256 _amount) public onlyOwner {
-        require(_amount <= rewardPool, "Insufficient funds in reward pool");
-        rewardPool -= _amount;
-        bool success = stakeToken.transfer(owner, _amount);
+    function releaseEscrow(address _borrower, uint256 _resourceId) public {
+        uint256 amount = Disputes.release(escrows[_borrower][_resourceId]);
+        bool success = IERC20(resources[_resourceId].stakeToken).transfer(_borrower, amount);
+        require(success, "Refund transfer failed");
+
+        emit EscrowReleased(_resourceId, _borrower, amount);
+    }
+
+    function _payLender(uint256 _resourceId, uint256 _amount) private {
+        if (_amount == 0) {
+            return;
+        }
+        address lender = resources[_resourceId].lender;
+        lenderEarnings[lender][resources[_resourceId].stakeToken] += _amount;
+        resourceEarnings[_resourceId] += _amount;
+        emit LenderPaid(_resourceId, lender, _amount);
+    }
+
+    /**
+     * @dev Allows a lender to withdraw their share of late penalties in one token
+     */
+    function withdrawEarnings(address _token) public {
+        uint256 amount = lenderEarnings[msg.sender][_token];
+        require(amount > 0, "No earnings to withdraw");
+
+        lenderEarnings[msg.sender][_token] = 0;
+        bool success = IERC20(_token).transfer(msg.sender, amount);
         require(success, "Token transfer failed");
+
+        emit EarningsWithdrawn(msg.sender, _token, amount);
+    }
+
+    /**
+     * @dev Runs any call this contract has no function for in adminModule,
+     * against this contract's storage, and passes back its result or revert.
+     */
+    fallback() external {
+        address module = adminModule;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
     }
 }
\ No newline at end of file
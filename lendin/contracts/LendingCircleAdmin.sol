@@ -0,0 +1,612 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./LendingCircleBase.sol";
+
+// Catalog curation, roles, settings and the reward pool treasury.
+// These are not on the borrow/return path, so they are deployed separately
+// to keep LendingCircle under the 24 KB contract size limit. Call them on
+// the LendingCircle address, which delegates here; calling this contract
+// directly only touches its own, empty storage.
+contract LendingCircleAdmin is LendingCircleBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    /**
+     * @dev Sets up a circle's storage: allows the first ERC-20 token resources
+     * can take stakes in, and makes _owner the owner with every role.
+     * Runs from LendingCircle's constructor, or on a fresh clone created by
+     * LendingCircleFactory. Only works once per circle.
+     */
+    function initialize(address _tokenAddress, address _owner) public {
+        require(owner == address(0), "Circle is already initialized");
+        require(_owner != address(0), "Owner cannot be the zero address");
+
+        owner = _owner;
+        emit OwnershipTransferred(address(0), _owner);
+        _grantRole(ADMIN_ROLE, _owner);
+        _grantRole(CURATOR_ROLE, _owner);
+        _grantRole(TREASURER_ROLE, _owner);
+        _grantRole(PAUSER_ROLE, _owner);
+        _allowStakeToken(_tokenAddress);
+        _resourceIdCounter = 1; // Start counter at 1
+        claimWindow = 1 days;
+        lenderPenaltyShare = 5000; // 50%
+        keeperBounty = 200; // 2%
+        arbiter = _owner;
+    }
+
+    /**
+     * @dev Adds a new resource to the lending pool. Callable by curators and
+     * approved members, who become the resource's lender.
+     * @param _name Name of the resource (e.g., "Distributed Systems Textbook")
+     * @param _type PHYSICAL (0) or DIGITAL (1)
+     * @param _maxBorrows Max concurrent users (1 for PHYSICAL)
+     * @param _stake Amount of stakeToken required to borrow
+     * @param _duration The borrow duration in seconds
+     * @param _penalty Penalty per day (in seconds) overdue
+     * @param _reward Reward for returning on time
+     * @param _metadataURI IPFS hash or URL for resource details
+     * @param _stakeToken Allowed ERC-20 token the stake is paid in
+     * @param _category Group to list it under (e.g., "Books"), indexed in ResourceAdded
+     */
+    function addResource(
+        string memory _name,
+        ResourceType _type,
+        uint256 _maxBorrows,
+        uint256 _stake,
+        uint256 _duration,
+        uint256 _penalty,
+        uint256 _reward,
+        string memory _metadataURI,
+        address _stakeToken,
+        string memory _category
+    ) public onlyLender whenNotPaused {
+        // Validation
+        require(bytes(_name).length > 0, "Name cannot be empty");
+        require(allowedStakeTokens[_stakeToken], "Stake token is not allowed");
+        require(_stake > 0, "Stake must be greater than zero");
+        require(_duration > 0, "Duration must be greater than zero");
+        
+        if (_type == ResourceType.PHYSICAL) {
+            require(_maxBorrows == 1, "Physical items must have maxBorrows = 1");
+        } else {
+            require(_maxBorrows > 0, "Digital items must allow at least 1 borrow");
+        }
+
+        // Get new ID
+        uint256 newId = _resourceIdCounter;
+
+        // Create and save the new resource
+        resources[newId] = Resource({
+            id: newId,
+            name: _name,
+            resourceType: _type,
+            maxConcurrentBorrows: _maxBorrows,
+            currentBorrowerCount: 0,
+            stakeAmount: _stake,
+            borrowDuration: _duration,
+            latePenaltyPerDay: _penalty,
+            onTimeReward: _reward,
+            metadataURI: _metadataURI,
+            active: true,
+            lender: msg.sender,
+            stakeToken: _stakeToken,
+            category: _category
+        });
+
+
+
+
+        // Increment the counter for the next resource
+        _resourceIdCounter++;
+        _updateIndexes(newId);
+        _lenderIds[msg.sender].add(newId);
+
+        // Emit an event to log this on the blockchain
+        emit ResourceAdded(newId, _name, _stake, _maxBorrows, _category);
+    }
+
+    /**
+     * @dev Updates the terms of an existing resource. Only callable by a curator or its lender.
+     * Active borrows keep the terms they were borrowed under.
+     * @param _resourceId The resource to update
+     * @param _stake New amount of stakeToken required to borrow
+     * @param _duration New borrow duration in seconds
+     * @param _penalty New penalty per day overdue
+     * @param _reward New reward for returning on time
+     * @param _metadataURI New IPFS hash or URL for resource details
+     */
+    function updateResource(
+        uint256 _resourceId,
+        uint256 _stake,
+        uint256 _duration,
+        uint256 _penalty,
+        uint256 _reward,
+        string memory _metadataURI
+    ) public resourceExists(_resourceId) onlyResourceManager(_resourceId) {
+        // Same rules as addResource
+        require(_stake > 0, "Stake must be greater than zero");
+        require(_duration > 0, "Duration must be greater than zero");
+        uint256 curveId = penaltyCurveOf[_resourceId];
+        if (curveId > 0 && _penaltyCurves[curveId - 1].model != Penalties.Model.TIERED) {
+            require(_penalty > 0, "Penalty curve needs a late penalty");
+        }
+
+        Resource storage resource = resources[_resourceId];
+        resource.stakeAmount = _stake;
+        resource.borrowDuration = _duration;
+        resource.latePenaltyPerDay = _penalty;
+        resource.onTimeReward = _reward;
+        resource.metadataURI = _metadataURI;
+
+        emit ResourceUpdated(_resourceId, _stake, _duration, _penalty, _reward, _metadataURI);
+    }
+
+    /**
+     * @dev Sets how borrows of a resource can be extended. Only callable by a curator or its lender.
+     * @param _resourceId The resource to configure
+     * @param _maxRenewals Max extensions per borrow (0 disables extensions)
+     * @param _extensionDuration Seconds added to the deadline per extension
+     * @param _extensionStake Extra stakeToken required per extension (can be 0)
+     */
+    function setRenewalPolicy(
+        uint256 _resourceId,
+        uint256 _maxRenewals,
+        uint256 _extensionDuration,
+        uint256 _extensionStake
+    ) public resourceExists(_resourceId) onlyResourceManager(_resourceId) {
+        if (_maxRenewals > 0) {
+            require(_extensionDuration > 0, "Extension duration must be greater than zero");
+        }
+
+        renewalPolicies[_resourceId] = RenewalPolicy({
+            maxRenewals: _maxRenewals,
+            extensionDuration: _extensionDuration,
+            extensionStake: _extensionStake
+        });
+
+        emit RenewalPolicyUpdated(_resourceId, _maxRenewals, _extensionDuration, _extensionStake);
+    }
+
+    /**
+     * @dev Sets how late penalties accrue for future borrows of a resource.
+     * Only callable by a curator or its lender. The resource's
+     * latePenaltyPerDay becomes the charge per unit.
+     * @param _model LINEAR, TIERED or EXPONENTIAL
+     * @param _unit Seconds per charged unit, 1 hours or 1 days
+     * @param _gracePeriod Seconds past the deadline before anything is charged
+     * @param _cap Most the penalty can reach (0 = only the stake caps it)
+     * @param _flatUnits EXPONENTIAL: units charged at the base rate before doubling
+     * @param _tierStarts TIERED: first unit (1-based) each tier's rate applies to, ascending
+     * @param _tierRates TIERED: charge per unit within each tier
+     */
+    function setPenaltyCurve(
+        uint256 _resourceId,
+        Penalties.Model _model,
+        uint256 _unit,
+        uint256 _gracePeriod,
+        uint256 _cap,
+        uint256 _flatUnits,
+        uint256[] memory _tierStarts,
+        uint256[] memory _tierRates
+    ) public resourceExists(_resourceId) onlyResourceManager(_resourceId) {
+        // A borrow is only liquidated once its penalty reaches the curve's
+        // limit, so the curve has to keep charging until it gets there
+        if (_model == Penalties.Model.TIERED) {
+            require(_tierRates.length == 0 || _tierRates[_tierRates.length - 1] > 0, "Last tier must charge a penalty");
+        } else {
+            require(resources[_resourceId].latePenaltyPerDay > 0, "Penalty curve needs a late penalty");
+        }
+
+        uint256 curveId = Penalties.add(_penaltyCurves, Penalties.Curve({
+            model: _model,
+            unit: _unit,
+            gracePeriod: _gracePeriod,
+            cap: _cap,
+            flatUnits: _flatUnits,
+            tierStarts: _tierStarts,
+            tierRates: _tierRates
+        }));
+        penaltyCurveOf[_resourceId] = curveId;
+
+        emit PenaltyCurveUpdated(_resourceId, curveId, _model, _unit, _gracePeriod);
+    }
+
+    /**
+     * @dev Goes back to the default penalty of latePenaltyPerDay per started
+     * day with no grace period, for future borrows of a resource.
+     */
+    function clearPenaltyCurve(uint256 _resourceId) public resourceExists(_resourceId) onlyResourceManager(_resourceId) {
+        penaltyCurveOf[_resourceId] = 0;
+        emit PenaltyCurveUpdated(_resourceId, 0, Penalties.Model.LINEAR, 1 days, 0);
+    }
+
+    /**
+     * @dev Returns a stored penalty curve by its 1-based id.
+     */
+    function getPenaltyCurve(uint256 _curveId) public view returns (Penalties.Curve memory) {
+        require(_curveId > 0 && _curveId <= _penaltyCurves.length, "Penalty curve does not exist");
+        return _penaltyCurves[_curveId - 1];
+    }
+
+    /**
+     * @dev Grants a role. Only the owner can appoint admins; admins grant
+     * every other role.
+     */
+    function grantRole(bytes32 _role, address _account) public {
+        _checkRoleManager(_role);
+        _grantRole(_role, _account);
+    }
+
+    function revokeRole(bytes32 _role, address _account) public {
+        _checkRoleManager(_role);
+        _revokeRole(_role, _account);
+    }
+
+    function _revokeRole(bytes32 _role, address _account) private {
+        if (hasRole[_role][_account]) {
+            hasRole[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+
+    function _checkRoleManager(bytes32 _role) private view {
+        if (_role == ADMIN_ROLE) {
+            require(msg.sender == owner, "Caller is not the owner");
+        } else {
+            require(hasRole[ADMIN_ROLE][msg.sender], "Caller is missing the required role");
+        }
+    }
+
+    /**
+     * @dev Starts handing the circle over to a new owner, who must call
+     * acceptOwnership to complete it. The roles the current owner holds, and
+     * the arbiter seat if it is theirs, move to the new owner with it.
+     */
+    function transferOwnership(address _newOwner) public onlyOwner {
+        pendingOwner = _newOwner;
+        emit OwnershipTransferStarted(owner, _newOwner);
+    }
+
+    function acceptOwnership() public {
+        require(msg.sender == pendingOwner, "Caller is not the pending owner");
+        address previousOwner = owner;
+        emit OwnershipTransferred(previousOwner, msg.sender);
+        owner = msg.sender;
+        delete pendingOwner;
+
+        // The previous owner keeps no control over the circle they handed over
+        bytes32[4] memory roles = [ADMIN_ROLE, CURATOR_ROLE, TREASURER_ROLE, PAUSER_ROLE];
+        for (uint256 i = 0; i < roles.length; i++) {
+            if (hasRole[roles[i]][previousOwner]) {
+                _revokeRole(roles[i], previousOwner);
+                _grantRole(roles[i], msg.sender);
+            }
+        }
+        if (arbiter == previousOwner) {
+            arbiter = msg.sender;
+            emit ArbiterChanged(msg.sender);
+        }
+    }
+
+    /**
+     * @dev Stops new borrows, extensions, listings and deposits. Returns,
+     * escrow releases and withdrawals keep working.
+     */
+    function pause() public onlyRole(PAUSER_ROLE) {
+        require(!paused, "Circle is already paused");
+        paused = true;
+        pausedAt = block.timestamp;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        require(paused, "Circle is not paused");
+        paused = false;
+        pausedAt = 0;
+        emit Unpaused(msg.sender);
+    }
+
+    /**
+     * @dev Adds or removes a token from the stake token allowlist.
+     * Removing a token only stops new resources from using it.
+     */
+    function setStakeTokenAllowed(address _token, bool _allowed) public onlyRole(ADMIN_ROLE) {
+        if (_allowed) {
+            _allowStakeToken(_token);
+        } else {
+            allowedStakeTokens[_token] = false;
+            emit StakeTokenAllowed(_token, false);
+        }
+    }
+
+    /**
+     * @dev Allows or stops a member listing their own resources.
+     * Existing listings stay in place when approval is revoked.
+     */
+    function setLenderApproval(address _lender, bool _approved) public onlyRole(CURATOR_ROLE) {
+        approvedLenders[_lender] = _approved;
+        emit LenderApprovalChanged(_lender, _approved);
+    }
+
+    /**
+     * @dev Chooses who may borrow. Existing members stay members when the
+     * mode changes, and OPEN lets everyone borrow again.
+     * @param _root Root of the invite tree, only used in MERKLE mode
+     */
+    function setMembershipMode(MembershipMode _mode, bytes32 _root) public onlyRole(ADMIN_ROLE) {
+        if (_mode == MembershipMode.MERKLE) {
+            require(_root != bytes32(0), "Merkle root cannot be empty");
+        }
+        membershipMode = _mode;
+        membershipRoot = _root;
+        emit MembershipModeChanged(_mode, _root);
+    }
+
+    /**
+     * @dev Adds or removes members. Removed members cannot rejoin with an
+     * invite until a curator adds them again.
+     */
+    function setMembers(address[] memory _accounts, bool _member) public onlyRole(CURATOR_ROLE) {
+        for (uint256 i = 0; i < _accounts.length; i++) {
+            address account = _accounts[i];
+            membershipRevoked[account] = !_member;
+            if (isMember[account] != _member) {
+                isMember[account] = _member;
+                if (_member) {
+                    emit MemberAdded(account);
+                } else {
+                    emit MemberRemoved(account);
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Claims membership with a proof that msg.sender is in the invite tree.
+     * @param _proof Sibling hashes from msg.sender's leaf up to membershipRoot
+     */
+    function joinCircle(bytes32[] calldata _proof) external {
+        require(membershipMode == MembershipMode.MERKLE, "Circle does not take invites");
+        require(!isMember[msg.sender], "Already a member");
+        require(!membershipRevoked[msg.sender], "Membership was revoked");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(msg.sender))));
+        require(MerkleProof.verifyCalldata(_proof, membershipRoot, leaf), "Invalid invite proof");
+
+        isMember[msg.sender] = true;
+        emit MemberAdded(msg.sender);
+    }
+
+    /**
+     * @dev Sets the share of a liquidated stake paid to the keeper, in basis points.
+     */
+    function setKeeperBounty(uint256 _bounty) public onlyRole(ADMIN_ROLE) {
+        require(_bounty <= 1000, "Bounty cannot exceed 10%");
+        keeperBounty = _bounty;
+        emit KeeperBountyUpdated(_bounty);
+    }
+
+    /**
+     * @dev Sets the share of late penalties paid to member lenders, in basis points.
+     */
+    function setLenderPenaltyShare(uint256 _share) public onlyRole(ADMIN_ROLE) {
+        require(_share <= 10000, "Share cannot exceed 100%");
+        lenderPenaltyShare = _share;
+        emit LenderPenaltyShareUpdated(_share);
+    }
+
+    /**
+     * @dev Replaces the reputation tiers. Tiers must be sorted by ascending
+     * minStreak; a borrower gets the perks of the highest tier they reach.
+     * @param _minStreaks On-time streak needed for each tier
+     * @param _stakeDiscounts Basis points off the stake for each tier
+     * @param _rewardBonuses Basis points added to the on-time reward for each tier
+     */
+    function setReputationTiers(
+        uint256[] memory _minStreaks,
+        uint256[] memory _stakeDiscounts,
+        uint256[] memory _rewardBonuses
+    ) public onlyRole(ADMIN_ROLE) {
+        Reputation.setTiers(reputationTiers, _minStreaks, _stakeDiscounts, _rewardBonuses);
+        emit ReputationTiersUpdated(_minStreaks.length);
+    }
+
+    /**
+     * @dev Sets the address that settles damage disputes.
+     */
+    function setArbiter(address _arbiter) public onlyRole(ADMIN_ROLE) {
+        require(_arbiter != address(0), "Arbiter cannot be the zero address");
+        arbiter = _arbiter;
+        emit ArbiterChanged(_arbiter);
+    }
+
+    /**
+     * @dev Configures escrow for PHYSICAL returns.
+     * @param _disputeWindow Seconds a refund is held after return (0 disables escrow)
+     * @param _disputeTimeout Seconds the arbiter has to settle a flagged return
+     */
+    function setDisputeSettings(uint256 _disputeWindow, uint256 _disputeTimeout) public onlyRole(ADMIN_ROLE) {
+        if (_disputeWindow > 0) {
+            require(_disputeTimeout > 0, "Dispute timeout must be greater than zero");
+        }
+        disputeWindow = _disputeWindow;
+        disputeTimeout = _disputeTimeout;
+        emit DisputeSettingsUpdated(_disputeWindow, _disputeTimeout);
+    }
+
+    /**
+     * @dev Sets how long a waitlisted user has to claim a freed slot.
+     */
+    function setClaimWindow(uint256 _claimWindow) public onlyRole(ADMIN_ROLE) {
+        require(_claimWindow > 0, "Claim window must be greater than zero");
+        claimWindow = _claimWindow;
+        emit ClaimWindowUpdated(_claimWindow);
+    }
+
+    /**
+     * @dev Removes a resource from the catalog so it can no longer be borrowed.
+     * Current borrowers can still return it as normal.
+     */
+    function delistResource(uint256 _resourceId) public resourceExists(_resourceId) onlyResourceManager(_resourceId) {
+        require(resources[_resourceId].active, "Resource is already delisted");
+        resources[_resourceId].active = false;
+        _updateIndexes(_resourceId);
+        emit ResourceStatusChanged(_resourceId, false);
+    }
+
+    /**
+     * @dev Puts a delisted resource back into the catalog.
+     */
+    function relistResource(uint256 _resourceId) public resourceExists(_resourceId) onlyResourceManager(_resourceId) whenNotPaused {
+        require(!resources[_resourceId].active, "Resource is already listed");
+        resources[_resourceId].active = true;
+        _updateIndexes(_resourceId);
+        emit ResourceStatusChanged(_resourceId, true);
+    }
+
+    /**
+     * @dev Lets anyone deposit tokens into a token's reward pool in exchange
+     * for pool shares at the current share price.
+     */
+    function depositToRewardPool(address _token, uint256 _amount) public whenNotPaused {
+        require(allowedStakeTokens[_token], "Stake token is not allowed");
+        require(_amount > 0, "Amount must be greater than 0");
+
+        uint256 totalShares = totalPoolShares[_token];
+        if (totalShares > 0 && rewardPool[_token] == 0) {
+            // Rewards drained the pool, so its shares are worth nothing.
+            // Write them off instead of letting them dilute this deposit.
+            emit PoolSharesWrittenOff(_token, poolShareEpoch[_token], totalShares);
+            poolShareEpoch[_token]++;
+            totalShares = 0;
+        }
+        if (totalShares == 0 && rewardPool[_token] > 0) {
+            // Penalty income collected while nobody held shares belongs to
+            // the treasury, so the circle takes shares for it itself
+            totalShares = rewardPool[_token];
+            _shareBalances(_token)[address(this)] += totalShares;
+            emit PoolSharesTransferred(_token, address(0), address(this), totalShares);
+        }
+
+        uint256 shares = totalShares == 0 ? _amount : (_amount * totalShares) / rewardPool[_token];
+        require(shares > 0, "Deposit is too small for a share");
+
+        bool success = IERC20(_token).transferFrom(msg.sender, address(this), _amount);
+        require(success, "Token transfer failed");
+        rewardPool[_token] += _amount;
+        totalPoolShares[_token] = totalShares + shares;
+        _shareBalances(_token)[msg.sender] += shares;
+
+        emit PoolSharesTransferred(_token, address(0), msg.sender, shares);
+        emit PoolDeposited(_token, msg.sender, _amount, shares);
+    }
+
+    /**
+     * @dev Same as depositToRewardPool, but takes an EIP-2612 permit for the
+     * amount instead of a prior approve() call.
+     */
+    function depositToRewardPoolWithPermit(
+        address _token,
+        uint256 _amount,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        _permit(_token, _amount, _deadline, _v, _r, _s);
+        depositToRewardPool(_token, _amount);
+    }
+
+    /**
+     * @dev Returns the part of a token's reward pool not reserved for active borrows
+     */
+    function freeRewardPool(address _token) public view returns (uint256) {
+        return rewardPool[_token] - committedRewards[_token];
+    }
+
+    /**
+     * @dev Returns a holder's shares in a token's reward pool. Shares written
+     * off in an earlier epoch no longer count.
+     */
+    function poolShares(address _token, address _holder) public view returns (uint256) {
+        return _shareBalances(_token)[_holder];
+    }
+
+    // The share balances of a token's current epoch
+    function _shareBalances(address _token) private view returns (mapping(address => uint256) storage) {
+        return _poolShares[_token][poolShareEpoch[_token]];
+    }
+
+    /**
+     * @dev Returns what 1e18 shares of a token's reward pool are worth.
+     * Shares start out worth one token unit each.
+     */
+    function poolSharePrice(address _token) public view returns (uint256) {
+        uint256 totalShares = totalPoolShares[_token];
+        if (totalShares == 0) {
+            return 1e18;
+        }
+        return (rewardPool[_token] * 1e18) / totalShares;
+    }
+
+    /**
+     * @dev Burns pool shares for their value in tokens. Rewards reserved for
+     * active borrows cannot be redeemed until those borrows end.
+     */
+    function redeemPoolShares(address _token, uint256 _shares) public {
+        require(_shares > 0, "Shares must be greater than 0");
+        require(_shareBalances(_token)[msg.sender] >= _shares, "Insufficient pool shares");
+
+        uint256 amount = (_shares * rewardPool[_token]) / totalPoolShares[_token];
+        require(amount <= freeRewardPool(_token), "Insufficient free funds in reward pool");
+
+        _shareBalances(_token)[msg.sender] -= _shares;
+        totalPoolShares[_token] -= _shares;
+        rewardPool[_token] -= amount;
+
+        bool success = IERC20(_token).transfer(msg.sender, amount);
+        require(success, "Token transfer failed");
+
+        emit PoolSharesTransferred(_token, msg.sender, address(0), _shares);
+        emit PoolRedeemed(_token, msg.sender, _shares, amount);
+    }
+
+    /**
+     * @dev Moves pool shares to another address.
+     */
+    function transferPoolShares(address _token, address _to, uint256 _shares) public {
+        require(_to != address(0), "Cannot transfer to the zero address");
+        require(_shareBalances(_token)[msg.sender] >= _shares, "Insufficient pool shares");
+
+        _shareBalances(_token)[msg.sender] -= _shares;
+        _shareBalances(_token)[_to] += _shares;
+
+        emit PoolSharesTransferred(_token, msg.sender, _to, _shares);
+    }
+
+    /**
+     * @dev Allows a treasurer to withdraw the treasury's part of a token's
+     * reward pool: all of it while nobody holds shares, such as penalty
+     * income collected before the first deposit, and after that the value
+     * of the shares the circle itself holds.
+     */
+    function withdrawFromRewardPool(address _token, uint256 _amount) public onlyRole(TREASURER_ROLE) {
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_amount <= freeRewardPool(_token), "Insufficient free funds in reward pool");
+
+        uint256 totalShares = totalPoolShares[_token];
+        if (totalShares > 0) {
+            // Round the shares burned up, so the treasury never takes more than it owns
+            uint256 shares = (_amount * totalShares + rewardPool[_token] - 1) / rewardPool[_token];
+            require(_shareBalances(_token)[address(this)] >= shares, "Insufficient treasury shares");
+            _shareBalances(_token)[address(this)] -= shares;
+            totalPoolShares[_token] = totalShares - shares;
+            emit PoolSharesTransferred(_token, address(this), address(0), shares);
+        }
+        rewardPool[_token] -= _amount;
+        bool success = IERC20(_token).transfer(msg.sender, _amount);
+        require(success, "Token transfer failed");
+    }
+}
@@ -0,0 +1,544 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// We import the standard interface for an ERC-20 token.
+// Our contracts will interact with ANY token that follows this standard.
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./libraries/Disputes.sol";
+import "./libraries/Penalties.sol";
+import "./libraries/Reputation.sol";
+import "./libraries/Waitlist.sol";
+
+// State, events and shared checks for a lending circle.
+// LendingCircle and LendingCircleAdmin both inherit this, so they see the
+// same storage layout: LendingCircle delegates management calls to
+// LendingCircleAdmin, which then runs against LendingCircle's storage.
+// Neither of them may declare state variables of their own.
+abstract contract LendingCircleBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // --- State Variables ---
+
+    // ERC-20 tokens resources may take stakes in. Each resource picks one
+    // when it is added and keeps it for life.
+    mapping(address => bool) public allowedStakeTokens;
+
+    // Every token ever allowed, for the frontend to list
+    address[] internal _stakeTokens;
+
+    // The address that appoints admins and can hand the circle over to a new owner
+    address public owner;
+
+    // Proposed new owner, who must accept before ownership moves
+    address public pendingOwner;
+
+    // Roles split up what a single owner key used to control:
+    // admins grant the other roles and change circle-wide settings,
+    // curators manage the catalog and approve lenders,
+    // treasurers move funds in and out of the reward pool,
+    // and pausers can halt the circle in an emergency.
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    // mapping(role => mapping(account => granted))
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+
+    // A pool per stake token to hold collected penalties, which can then fund rewards
+    mapping(address => uint256) public rewardPool;
+
+    // The part of each reward pool reserved for the on-time rewards of
+    // active borrows. Only the rest can be withdrawn or reserved again.
+    mapping(address => uint256) public committedRewards;
+
+    // Shares in each reward pool, minted to whoever deposits into it. A share
+    // is worth rewardPool / totalPoolShares, so penalty income raises its
+    // value and rewards paid out lower it.
+    // mapping(token => mapping(holder => shares))
+    // If rewards drain a pool while shares exist, those shares are worth
+    // nothing and are written off by moving the pool to a new epoch.
+    // mapping(token => mapping(epoch => mapping(holder => shares)))
+    mapping(address => mapping(uint256 => mapping(address => uint256))) internal _poolShares;
+    mapping(address => uint256) public poolShareEpoch;
+    mapping(address => uint256) public totalPoolShares;
+
+    // Share of a late penalty paid to a member lender, in basis points (10000 = 100%)
+    uint256 public lenderPenaltyShare;
+
+    // The address that settles damage disputes
+    address public arbiter;
+
+    // How long a PHYSICAL refund is held after return so damage can be flagged.
+    // 0 disables escrow and refunds are paid straight away.
+    uint256 public disputeWindow;
+
+    // How long the arbiter has to settle a dispute before it auto-releases
+    uint256 public disputeTimeout;
+
+    // Counter to create unique IDs for new resources
+    uint256 internal _resourceIdCounter;
+
+    // How long the next person on a waitlist has to claim a freed slot
+    uint256 public claimWindow;
+
+    // Share of a liquidated stake paid to whoever calls liquidate, in basis points
+    uint256 public keeperBounty;
+
+    // While paused no new borrows, listings or deposits are accepted,
+    // but borrowers can always return what they hold
+    bool public paused;
+    uint256 public pausedAt;
+
+    // How long the circle must stay paused before borrowers can pull out
+    // their full stake without returning. Fixed so no admin can take it away.
+    uint256 public constant EMERGENCY_DELAY = 14 days;
+
+    // --- Structs & Enums ---
+
+    // Define the two types of resources
+    enum ResourceType { PHYSICAL, DIGITAL }
+
+    // Who may borrow: anyone, addresses a curator added, or anyone who
+    // proves they are in the invite Merkle tree
+    enum MembershipMode { OPEN, ALLOWLIST, MERKLE }
+
+    // This struct defines a lendable resource
+    struct Resource {
+        uint256 id;
+        string name;
+        ResourceType resourceType;
+        uint256 maxConcurrentBorrows; // 1 for PHYSICAL, N for DIGITAL
+        uint256 currentBorrowerCount;
+        uint256 stakeAmount;         // The "deposit" required in stakeToken
+        uint256 borrowDuration;      // Max borrow time in seconds (e.g., 604800 for 7 days)
+        uint256 latePenaltyPerDay;   // Penalty deducted from stake per overdue unit (a day unless a penalty curve says otherwise)
+        uint256 onTimeReward;        // Small reward for returning on time
+        string metadataURI;          // Link to IPFS for image/description/file link
+        bool active;                 // To allow "delisting"
+        address lender;              // Who listed the item
+        address stakeToken;          // The ERC-20 token stakes are paid in
+        string category;             // Free-form group such as "Tools", set when listed
+    }
+
+    // This struct tracks an active borrow
+    // The resource's terms are copied in at borrow time, so later edits
+    // by a curator never change the deal an existing borrower signed up for.
+    struct BorrowRecord {
+        address borrower;
+        uint256 resourceId;
+        uint256 borrowTime;        // block.timestamp when borrowed
+        uint256 stakeDeposited;
+        bool isActive;
+        uint256 deadline;          // block.timestamp by which it must be returned
+        uint256 latePenaltyPerDay; // Penalty terms at borrow time
+        uint256 onTimeReward;      // Reward terms at borrow time
+        uint256 renewals;          // How many times this borrow has been extended
+        uint256 penaltyCurve;      // Penalty curve at borrow time (0 = charge per day)
+    }
+
+    // This struct tracks how reliably an address has returned what it borrowed
+    struct BorrowerProfile {
+        uint256 onTimeReturns;
+        uint256 lateReturns;
+        uint256 currentStreak;     // On-time returns since the last late one
+    }
+
+    // This struct defines how a borrow of a resource can be extended
+    struct RenewalPolicy {
+        uint256 maxRenewals;       // 0 disables extensions
+        uint256 extensionDuration; // Seconds added to the deadline per extension
+        uint256 extensionStake;    // Extra stake pulled from the borrower per extension
+    }
+
+    // This struct describes what returning a borrow right now would pay out
+    struct ReturnPreview {
+        uint256 deadline;
+        uint256 secondsRemaining;  // Until the deadline, 0 once it has passed
+        uint256 secondsOverdue;    // Since the deadline, 0 before it
+        uint256 penalty;           // Taken from the stake if returned now
+        uint256 reward;            // On-time reward reserved for the borrow
+        uint256 refundAmount;      // What the borrower would get back
+        uint256 penaltyLimit;      // Most the penalty can reach; the borrow can be liquidated there
+    }
+
+    // --- Mappings (The "Database") ---
+
+    // Maps a resourceId to its Resource struct
+    mapping(uint256 => Resource) public resources;
+
+    // Maps a user's address to their active borrow record for a specific resource
+    // A user can borrow multiple different resources simultaneously
+    // mapping(address => mapping(uint256 => BorrowRecord))
+    mapping(address => mapping(uint256 => BorrowRecord)) public activeBorrows;
+
+    // Maps a borrower's address to their escrowed refund for a specific resource
+    mapping(address => mapping(uint256 => Disputes.Escrow)) public escrows;
+
+    // Maps a borrower's address to their return history
+    mapping(address => BorrowerProfile) internal _borrowerProfiles;
+
+    // How often each resource has been borrowed, for sorting the catalog by popularity
+    mapping(uint256 => uint256) public borrowCount;
+
+    // Penalties each borrower has paid, kept per stake token since their decimals differ
+    // mapping(borrower => mapping(token => amount))
+    mapping(address => mapping(address => uint256)) internal _penaltiesPaid;
+
+    // Reputation tiers, sorted by ascending minStreak
+    Reputation.ReputationTier[] public reputationTiers;
+
+    // Members allowed to list their own items
+    mapping(address => bool) public approvedLenders;
+
+    // Borrowing is limited to members unless the circle is OPEN
+    MembershipMode public membershipMode;
+    mapping(address => bool) public isMember;
+    // Root of the invite tree for MERKLE mode. Leaves are
+    // keccak256(bytes.concat(keccak256(abi.encode(account)))).
+    bytes32 public membershipRoot;
+    // Removed members cannot claim their invite again
+    mapping(address => bool) public membershipRevoked;
+
+    // Penalty income a lender has not withdrawn yet, per stake token
+    // mapping(lender => mapping(token => amount))
+    mapping(address => mapping(address => uint256)) public lenderEarnings;
+
+    // Total penalty income paid to the lender of each resource, in its stake token
+    mapping(uint256 => uint256) public resourceEarnings;
+
+    // Maps a resourceId to its extension rules
+    mapping(uint256 => RenewalPolicy) public renewalPolicies;
+
+    // Every penalty curve ever set, never changed once stored so borrows
+    // keep the terms they started with
+    Penalties.Curve[] internal _penaltyCurves;
+
+    // Maps a resourceId to the 1-based id of its current penalty curve
+    // (0 = the default charge per day, no grace period)
+    mapping(uint256 => uint256) public penaltyCurveOf;
+
+    // FIFO waitlist per resource, along with the claims offered from it
+    mapping(uint256 => Waitlist.Queue) internal _waitlists;
+
+    // Indexes kept up to date on every listing and borrow change, so the
+    // catalog views never have to walk every resource ID.
+    // Listed resources, whether or not they have a free slot
+    EnumerableSet.UintSet internal _listedIds;
+    // Listed resources with a slot not taken by a borrower. Slots held for
+    // waitlist claims are filtered out when the index is read.
+    EnumerableSet.UintSet internal _availableIds;
+    // mapping(borrower => IDs of the resources they are borrowing)
+    mapping(address => EnumerableSet.UintSet) internal _borrowedIds;
+    // mapping(lender => IDs of the resources they listed, delisted ones included)
+    mapping(address => EnumerableSet.UintSet) internal _lenderIds;
+
+    // --- Modifiers ---
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+
+    modifier onlyLender() {
+        require(
+            hasRole[CURATOR_ROLE][msg.sender] || approvedLenders[msg.sender],
+            "Caller is not an approved lender"
+        );
+        _;
+    }
+
+    // Curators can manage every resource, members only their own
+    modifier onlyResourceManager(uint256 _resourceId) {
+        _checkResourceManager(_resourceId);
+        _;
+    }
+
+    modifier onlyArbiter() {
+        require(msg.sender == arbiter, "Caller is not the arbiter");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    modifier onlyMember() {
+        _checkMember();
+        _;
+    }
+
+    modifier resourceExists(uint256 _resourceId) {
+        _checkResourceExists(_resourceId);
+        _;
+    }
+
+    // The checks behind the modifiers live in functions so their code is
+    // not copied into every function that uses them
+
+    function _checkRole(bytes32 _role) internal view {
+        require(hasRole[_role][msg.sender], "Caller is missing the required role");
+    }
+
+    function _checkResourceManager(uint256 _resourceId) internal view {
+        require(
+            hasRole[CURATOR_ROLE][msg.sender] || msg.sender == resources[_resourceId].lender,
+            "Caller is not a curator or the lender"
+        );
+    }
+
+    function _checkMember() internal view {
+        require(membershipMode == MembershipMode.OPEN || isMember[msg.sender], "Caller is not a member");
+    }
+
+    function _checkResourceExists(uint256 _resourceId) internal view {
+        require(
+            _resourceId > 0 && _resourceId < _resourceIdCounter,
+            "Resource does not exist"
+        );
+    }
+
+    // --- Events ---
+
+    event ResourceAdded(
+        uint256 indexed resourceId, 
+        string name, 
+        uint256 stakeAmount, 
+        uint256 maxConcurrentBorrows,
+        string indexed category
+    );
+    event ResourceBorrowed(
+        uint256 indexed resourceId, 
+        address indexed borrower, 
+        uint256 stakeAmount, 
+        uint256 deadline
+    );
+    event RewardNotReserved(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        uint256 reward
+    );
+    event ResourceReturned(
+        uint256 indexed resourceId, 
+        address indexed borrower, 
+        uint256 refundAmount, 
+        uint256 penaltyPaid
+    );
+    event BorrowExtended(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        uint256 extraStake,
+        uint256 newDeadline
+    );
+    event RenewalPolicyUpdated(
+        uint256 indexed resourceId,
+        uint256 maxRenewals,
+        uint256 extensionDuration,
+        uint256 extensionStake
+    );
+    event PenaltyCurveUpdated(
+        uint256 indexed resourceId,
+        uint256 indexed curveId,
+        Penalties.Model model,
+        uint256 unit,
+        uint256 gracePeriod
+    );
+    event WaitlistJoined(
+        uint256 indexed resourceId,
+        address indexed user,
+        uint256 position
+    );
+    event WaitlistLeft(
+        uint256 indexed resourceId,
+        address indexed user
+    );
+    event ClaimOffered(
+        uint256 indexed resourceId,
+        address indexed user,
+        uint256 expiresAt
+    );
+    event ClaimWindowUpdated(uint256 claimWindow);
+    event ArbiterChanged(address indexed arbiter);
+    event DisputeSettingsUpdated(
+        uint256 disputeWindow,
+        uint256 disputeTimeout
+    );
+    event RefundEscrowed(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        uint256 amount,
+        uint256 releaseTime
+    );
+    event DamageFlagged(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        address flaggedBy,
+        string evidenceURI
+    );
+    event DisputeResolved(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        uint256 damageAmount,
+        uint256 refundAmount
+    );
+    event EscrowReleased(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        uint256 amount
+    );
+    event ReputationTiersUpdated(uint256 tierCount);
+    event LenderApprovalChanged(
+        address indexed lender,
+        bool approved
+    );
+    event MembershipModeChanged(MembershipMode mode, bytes32 root);
+    event MemberAdded(address indexed account);
+    event MemberRemoved(address indexed account);
+    event LenderPenaltyShareUpdated(uint256 share);
+    event LenderPaid(
+        uint256 indexed resourceId,
+        address indexed lender,
+        uint256 amount
+    );
+    event EarningsWithdrawn(
+        address indexed lender,
+        address indexed token,
+        uint256 amount
+    );
+    event StakeTokenAllowed(
+        address indexed token,
+        bool allowed
+    );
+    event ResourceUpdated(
+        uint256 indexed resourceId,
+        uint256 stakeAmount,
+        uint256 borrowDuration,
+        uint256 latePenaltyPerDay,
+        uint256 onTimeReward,
+        string metadataURI
+    );
+    event ResourceStatusChanged(
+        uint256 indexed resourceId,
+        bool active
+    );
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account,
+        address indexed sender
+    );
+    event BorrowLiquidated(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        address indexed keeper,
+        uint256 forfeitedStake,
+        uint256 bounty
+    );
+    event KeeperBountyUpdated(uint256 bounty);
+    event PoolDeposited(
+        address indexed token,
+        address indexed provider,
+        uint256 amount,
+        uint256 shares
+    );
+    event PoolRedeemed(
+        address indexed token,
+        address indexed provider,
+        uint256 shares,
+        uint256 amount
+    );
+    // Mints come from and burns go to the zero address, as with ERC-20 Transfer
+    event PoolSharesTransferred(
+        address indexed token,
+        address indexed from,
+        address indexed to,
+        uint256 shares
+    );
+    event PoolSharesWrittenOff(address indexed token, uint256 epoch, uint256 shares);
+    event Paused(address indexed account);
+    event Unpaused(address indexed account);
+    event EmergencyWithdrawal(
+        uint256 indexed resourceId,
+        address indexed borrower,
+        uint256 amount
+    );
+    event OwnershipTransferStarted(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+    event OwnershipTransferred(
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+
+    // --- Shared Functions ---
+
+    function _grantRole(bytes32 _role, address _account) internal {
+        if (!hasRole[_role][_account]) {
+            hasRole[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    function _requireNotPaused() internal view {
+        require(!paused, "Circle is paused");
+    }
+
+    function _allowStakeToken(address _token) internal {
+        require(_token != address(0), "Token cannot be the zero address");
+        if (!allowedStakeTokens[_token]) {
+            bool known = false;
+            for (uint256 i = 0; i < _stakeTokens.length; i++) {
+                if (_stakeTokens[i] == _token) {
+                    known = true;
+                    break;
+                }
+            }
+            if (!known) {
+                _stakeTokens.push(_token);
+            }
+        }
+        allowedStakeTokens[_token] = true;
+        emit StakeTokenAllowed(_token, true);
+    }
+
+    /**
+     * @dev Brings a resource's entries in the catalog indexes in line with
+     * its listing status and borrower count.
+     */
+    function _updateIndexes(uint256 _resourceId) internal {
+        Resource storage resource = resources[_resourceId];
+        if (resource.active) {
+            _listedIds.add(_resourceId);
+        } else {
+            _listedIds.remove(_resourceId);
+        }
+
+        if (resource.active && resource.currentBorrowerCount < resource.maxConcurrentBorrows) {
+            _availableIds.add(_resourceId);
+        } else {
+            _availableIds.remove(_resourceId);
+        }
+    }
+
+    /**
+     * @dev Submits a permit from msg.sender to this contract. Anyone can submit
+     * a permit seen in the mempool first, so a failed call is ignored and the
+     * transferFrom that follows decides whether the allowance is there.
+     */
+    function _permit(address _token, uint256 _amount, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) internal {
+        try IERC20Permit(_token).permit(msg.sender, address(this), _amount, _deadline, _v, _r, _s) {} catch {}
+    }
+}
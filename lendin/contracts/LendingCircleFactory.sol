@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./LendingCircleAdmin.sol";
+
+// Deploys independent lending circles and keeps a registry of them.
+// A LendingCircle is too big to deploy from another contract, so each new
+// circle is a minimal proxy (EIP-1167) cloned from a deployed one. Clones
+// share its code, including its admin module, but have their own storage.
+contract LendingCircleFactory {
+
+    // This struct describes a circle created by this factory
+    struct Circle {
+        address circle;
+        string name;
+        address stakeToken;        // The first token the circle takes stakes in
+        address admin;             // The circle's first owner
+        uint256 createdAt;
+    }
+
+    // Deployed LendingCircle every new circle is cloned from
+    address public immutable implementation;
+
+    Circle[] internal _circles;
+
+    // True for every circle this factory created
+    mapping(address => bool) public isCircle;
+
+    event CircleCreated(
+        uint256 indexed circleId,
+        address indexed circle,
+        address indexed admin,
+        address stakeToken,
+        string name
+    );
+
+    /**
+     * @param _implementation Deployed LendingCircle to clone
+     */
+    constructor(address _implementation) {
+        require(_implementation != address(0), "Implementation cannot be the zero address");
+        implementation = _implementation;
+    }
+
+    /**
+     * @dev Deploys a new circle and registers it.
+     * @param _stakeToken The first ERC-20 token resources can take stakes in
+     * @param _name Name shown for the circle (e.g., "Tool Shed")
+     * @param _admin Becomes the circle's owner and starts with every role
+     * @return circle The new circle's address
+     */
+    function createCircle(
+        address _stakeToken,
+        string calldata _name,
+        address _admin
+    ) external returns (address circle) {
+        require(bytes(_name).length > 0, "Name cannot be empty");
+
+        // initialize is one of the management calls a circle forwards to its admin module
+        circle = Clones.clone(implementation);
+        LendingCircleAdmin(circle).initialize(_stakeToken, _admin);
+
+        _circles.push(Circle({
+            circle: circle,
+            name: _name,
+            stakeToken: _stakeToken,
+            admin: _admin,
+            createdAt: block.timestamp
+        }));
+        isCircle[circle] = true;
+
+        emit CircleCreated(_circles.length - 1, circle, _admin, _stakeToken, _name);
+    }
+
+    /**
+     * @dev Returns the number of circles created so far
+     */
+    function getCircleCount() public view returns (uint256) {
+        return _circles.length;
+    }
+
+    /**
+     * @dev Returns a circle by its 0-based id
+     */
+    function getCircle(uint256 _circleId) public view returns (Circle memory) {
+        require(_circleId < _circles.length, "Circle does not exist");
+        return _circles[_circleId];
+    }
+
+    /**
+     * @dev Returns up to _limit circles starting at _offset, oldest first
+     */
+    function getCircles(uint256 _offset, uint256 _limit) public view returns (Circle[] memory circles) {
+        if (_offset >= _circles.length) {
+            return circles;
+        }
+        uint256 end = _offset + _limit;
+        if (end > _circles.length) {
+            end = _circles.length;
+        }
+        circles = new Circle[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            circles[i - _offset] = _circles[i];
+        }
+    }
+}
@@ -2,12 +2,14 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 // This is a simple ERC-20 token for testing purposes.
-// It allows the owner to mint new tokens.
-contract MockStakeToken is ERC20, Ownable {
-    constructor() ERC20("Mock Stake Token", "MST") Ownable(msg.sender) {}
+// It allows the owner to mint new tokens, and supports EIP-2612 permits
+// so borrowers can stake without a separate approve transaction.
+contract MockStakeToken is ERC20, ERC20Permit, Ownable {
+    constructor() ERC20("Mock Stake Token", "MST") ERC20Permit("Mock Stake Token") Ownable(msg.sender) {}
 
     function mint(address to, uint256 amount) public onlyOwner {
         _mint(to, amount);
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Escrowed PHYSICAL refunds and the damage disputes raised against them.
+// LendingCircle keeps the access checks, payouts and events; this library
+// holds the escrow bookkeeping so it can be deployed and linked on its own.
+library Disputes {
+
+    // This struct holds a PHYSICAL refund while damage can still be claimed
+    struct Escrow {
+        uint256 amount;            // Refund owed to the borrower
+        uint256 releaseTime;       // When the dispute window closes
+        bool disputed;
+        uint256 disputeDeadline;   // When an unsettled dispute auto-releases
+        string evidenceURI;        // Photos or notes supporting the damage claim
+    }
+
+    /**
+     * @dev Freezes an escrowed refund until the arbiter settles it or _timeout passes.
+     */
+    function flag(Escrow storage _escrow, string memory _evidenceURI, uint256 _timeout) external {
+        require(_escrow.amount > 0, "No refund in escrow");
+        require(!_escrow.disputed, "Return is already disputed");
+        require(block.timestamp <= _escrow.releaseTime, "Dispute window has closed");
+        require(bytes(_evidenceURI).length > 0, "Evidence cannot be empty");
+
+        _escrow.disputed = true;
+        _escrow.disputeDeadline = block.timestamp + _timeout;
+        _escrow.evidenceURI = _evidenceURI;
+    }
+
+    /**
+     * @dev Closes a dispute, keeping _damageAmount back from the refund.
+     * @return refundAmount What is left for the borrower
+     */
+    function resolve(Escrow storage _escrow, uint256 _damageAmount) external returns (uint256 refundAmount) {
+        require(_escrow.disputed, "Return is not disputed");
+        require(_damageAmount <= _escrow.amount, "Damage exceeds escrowed refund");
+
+        refundAmount = _escrow.amount - _damageAmount;
+        _clear(_escrow);
+    }
+
+    /**
+     * @dev Closes an escrow whose window or dispute timeout has passed.
+     * @return amount The full refund owed to the borrower
+     */
+    function release(Escrow storage _escrow) external returns (uint256 amount) {
+        amount = _escrow.amount;
+        require(amount > 0, "No refund in escrow");
+        if (_escrow.disputed) {
+            require(block.timestamp > _escrow.disputeDeadline, "Dispute is still open");
+        } else {
+            require(block.timestamp > _escrow.releaseTime, "Dispute window is still open");
+        }
+
+        _clear(_escrow);
+    }
+
+    function _clear(Escrow storage _escrow) private {
+        delete _escrow.amount;
+        delete _escrow.releaseTime;
+        delete _escrow.disputed;
+        delete _escrow.disputeDeadline;
+        delete _escrow.evidenceURI;
+    }
+}
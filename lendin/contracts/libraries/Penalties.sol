@@ -0,0 +1,161 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Late penalty curves a resource can choose instead of the default
+// charge-per-day. Deployed on its own and linked into LendingCircle, like Waitlist.
+library Penalties {
+
+    // How the charge for each overdue unit grows
+    enum Model { LINEAR, TIERED, EXPONENTIAL }
+
+    // This struct defines how a late penalty accrues. The per-unit rate is
+    // the resource's latePenaltyPerDay, snapshotted on each borrow.
+    struct Curve {
+        Model model;
+        uint256 unit;          // Seconds per charged unit, 1 hours or 1 days
+        uint256 gracePeriod;   // Seconds past the deadline before anything is charged
+        uint256 cap;           // Most the penalty can reach (0 = only the stake caps it)
+        uint256 flatUnits;     // EXPONENTIAL: units charged at the base rate before doubling
+        uint256[] tierStarts;  // TIERED: first unit (1-based) each tier's rate applies to
+        uint256[] tierRates;   // TIERED: charge per unit within each tier
+    }
+
+    /**
+     * @dev Validates a curve and stores it. Curves are never changed once
+     * stored, so a borrow can keep pointing at the one it started with.
+     * @return id 1-based index into _curves
+     */
+    function add(Curve[] storage _curves, Curve memory _curve) external returns (uint256 id) {
+        require(_curve.unit == 1 hours || _curve.unit == 1 days, "Unit must be an hour or a day");
+        require(_curve.tierStarts.length == _curve.tierRates.length, "Tier arrays must have the same length");
+        if (_curve.model == Model.TIERED) {
+            require(_curve.tierStarts.length > 0, "Tiered curve needs at least one tier");
+            for (uint256 i = 0; i < _curve.tierStarts.length; i++) {
+                require(_curve.tierStarts[i] > 0, "Tier start must be greater than zero");
+                if (i > 0) {
+                    require(_curve.tierStarts[i] > _curve.tierStarts[i - 1], "Tiers must be sorted by start");
+                }
+            }
+        } else {
+            require(_curve.tierStarts.length == 0, "Only tiered curves take tiers");
+        }
+
+        _curves.push(_curve);
+        id = _curves.length;
+    }
+
+    /**
+     * @dev Returns the penalty for a borrow that is _overdue seconds late,
+     * never more than _stake. Curve id 0 is the default: _rate per started
+     * day, no grace period. Any rate, however large, stops at the limit
+     * instead of overflowing, so a return or liquidation can always go through.
+     */
+    function penaltyFor(
+        Curve[] storage _curves,
+        uint256 _id,
+        uint256 _rate,
+        uint256 _overdue,
+        uint256 _stake
+    ) external view returns (uint256 penalty) {
+        if (_id == 0) {
+            return _mulCapped(((_overdue - 1) / 1 days) + 1, _rate, _stake);
+        }
+
+        Curve storage curve = _curves[_id - 1];
+        if (_overdue <= curve.gracePeriod) {
+            return 0;
+        }
+
+        uint256 limit = _limitOf(curve, _stake);
+
+        // Every started unit after the grace period is charged in full
+        uint256 units = ((_overdue - curve.gracePeriod - 1) / curve.unit) + 1;
+
+        if (curve.model == Model.LINEAR) {
+            penalty = _mulCapped(units, _rate, limit);
+        } else if (curve.model == Model.TIERED) {
+            penalty = _tiered(curve, _rate, units, limit);
+        } else {
+            penalty = _exponential(curve.flatUnits, _rate, units, limit);
+        }
+    }
+
+    /**
+     * @dev Returns the most a borrow on curve _id can be charged: _stake, or
+     * the curve's cap if that is lower. Once the penalty gets there it can
+     * grow no further, and the borrow can be liquidated.
+     */
+    function limitFor(Curve[] storage _curves, uint256 _id, uint256 _stake) external view returns (uint256) {
+        return _id == 0 ? _stake : _limitOf(_curves[_id - 1], _stake);
+    }
+
+    function _limitOf(Curve storage _curve, uint256 _stake) private view returns (uint256) {
+        return _curve.cap > 0 && _curve.cap < _stake ? _curve.cap : _stake;
+    }
+
+    /**
+     * @dev Charges _rate for units before the first tier, then each tier's
+     * rate for the units that fall inside it. Stops at _limit.
+     */
+    function _tiered(
+        Curve storage _curve,
+        uint256 _rate,
+        uint256 _units,
+        uint256 _limit
+    ) private view returns (uint256 penalty) {
+        uint256 charged = 0;
+        uint256 rate = _rate;
+        for (uint256 i = 0; i < _curve.tierStarts.length && charged < _units; i++) {
+            uint256 tierStart = _curve.tierStarts[i] - 1;
+            if (tierStart > _units) {
+                tierStart = _units;
+            }
+            if (tierStart > charged) {
+                penalty = _addCapped(penalty, _mulCapped(tierStart - charged, rate, _limit), _limit);
+                charged = tierStart;
+            }
+            rate = _curve.tierRates[i];
+        }
+        penalty = _addCapped(penalty, _mulCapped(_units - charged, rate, _limit), _limit);
+    }
+
+    /**
+     * @dev Charges _rate for each of the first _flatUnits, then doubles the
+     * charge every unit after that. Stops at _limit so it cannot overflow.
+     */
+    function _exponential(
+        uint256 _flatUnits,
+        uint256 _rate,
+        uint256 _units,
+        uint256 _limit
+    ) private pure returns (uint256 penalty) {
+        if (_units <= _flatUnits) {
+            return _mulCapped(_units, _rate, _limit);
+        }
+        penalty = _mulCapped(_flatUnits, _rate, _limit);
+
+        // Units past the flat ones cost 2, 4, 8, ... times _rate, which
+        // adds up to (2^(n+1) - 2) * _rate
+        uint256 doubled = _units - _flatUnits;
+        if (_rate == 0) {
+            return penalty;
+        }
+        if (doubled >= 128 || (_rate << (doubled + 1)) >> (doubled + 1) != _rate) {
+            return _limit;
+        }
+        penalty = _addCapped(penalty, (_rate << (doubled + 1)) - 2 * _rate, _limit);
+    }
+
+    // _a * _b, or _limit if that is more
+    function _mulCapped(uint256 _a, uint256 _b, uint256 _limit) private pure returns (uint256) {
+        if (_a != 0 && _b > _limit / _a) {
+            return _limit;
+        }
+        return _a * _b;
+    }
+
+    // _a + _b for an _a no more than _limit, or _limit if the sum is more
+    function _addCapped(uint256 _a, uint256 _b, uint256 _limit) private pure returns (uint256) {
+        return _b > _limit - _a ? _limit : _a + _b;
+    }
+}
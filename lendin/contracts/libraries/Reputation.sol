@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Reputation tiers and the perks they give borrowers on an on-time streak.
+// Deployed on its own and linked into LendingCircle, like Waitlist.
+library Reputation {
+
+    // This struct defines the perks for borrowers on a given streak
+    struct ReputationTier {
+        uint256 minStreak;         // currentStreak needed to reach this tier
+        uint256 stakeDiscount;     // Basis points off the required stake
+        uint256 rewardBonus;       // Basis points added to the on-time reward
+    }
+
+    /**
+     * @dev Replaces every tier. See LendingCircle.setReputationTiers.
+     */
+    function setTiers(
+        ReputationTier[] storage _tiers,
+        uint256[] memory _minStreaks,
+        uint256[] memory _stakeDiscounts,
+        uint256[] memory _rewardBonuses
+    ) external {
+        require(
+            _minStreaks.length == _stakeDiscounts.length && _minStreaks.length == _rewardBonuses.length,
+            "Tier arrays must have the same length"
+        );
+
+        while (_tiers.length > 0) {
+            _tiers.pop();
+        }
+        for (uint256 i = 0; i < _minStreaks.length; i++) {
+            require(_minStreaks[i] > 0, "Tier streak must be greater than zero");
+            if (i > 0) {
+                require(_minStreaks[i] > _minStreaks[i - 1], "Tiers must be sorted by streak");
+            }
+            // Borrowers must always put up some stake
+            require(_stakeDiscounts[i] < 10000, "Discount must be below 100%");
+
+            _tiers.push(ReputationTier({
+                minStreak: _minStreaks[i],
+                stakeDiscount: _stakeDiscounts[i],
+                rewardBonus: _rewardBonuses[i]
+            }));
+        }
+    }
+
+    /**
+     * @dev Returns the highest tier a streak reaches.
+     * @return tier 1-based index into _tiers, 0 if no tier is reached
+     * @return stakeDiscount Basis points off the required stake
+     * @return rewardBonus Basis points added to the on-time reward
+     */
+    function tierFor(ReputationTier[] storage _tiers, uint256 _streak)
+        external
+        view
+        returns (uint256 tier, uint256 stakeDiscount, uint256 rewardBonus)
+    {
+        for (uint256 i = 0; i < _tiers.length; i++) {
+            if (_streak >= _tiers[i].minStreak) {
+                tier = i + 1;
+            }
+        }
+        if (tier > 0) {
+            stakeDiscount = _tiers[tier - 1].stakeDiscount;
+            rewardBonus = _tiers[tier - 1].rewardBonus;
+        }
+    }
+}
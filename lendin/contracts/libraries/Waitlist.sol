@@ -0,0 +1,140 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// FIFO waitlist for a single resource, plus the claims handed out to the
+// people at the front of it when a slot frees up.
+// The functions are 'external' so the library is deployed on its own and
+// linked into LendingCircle, which keeps LendingCircle under the size limit.
+library Waitlist {
+
+    struct Queue {
+        // Users who leave are not removed from the array; their entry is
+        // skipped because 'index' no longer points to it.
+        address[] entries;
+        uint256 head;                        // First entry not yet processed
+        uint256 size;                        // Users currently waiting
+        mapping(address => uint256) index;   // entries index + 1, 0 if not waiting
+
+        // Users who were offered a freed slot, and when their claim runs out
+        address[] claimants;
+        mapping(address => uint256) claimExpiry;
+    }
+
+    /**
+     * @dev Adds a user to the back of the queue and returns their position.
+     */
+    function join(Queue storage _queue, address _user) external returns (uint256) {
+        require(_queue.index[_user] == 0, "You are already on the waitlist");
+        require(_queue.claimExpiry[_user] == 0, "You already have a claim on this");
+
+        _queue.entries.push(_user);
+        _queue.index[_user] = _queue.entries.length;
+        _queue.size++;
+        return _queue.size;
+    }
+
+    function leave(Queue storage _queue, address _user) external {
+        require(_queue.index[_user] != 0, "You are not on the waitlist");
+
+        delete _queue.index[_user];
+        _queue.size--;
+    }
+
+    /**
+     * @dev Returns a user's 1-based place in the queue, or 0 if they are not on it.
+     */
+    function position(Queue storage _queue, address _user) external view returns (uint256 place) {
+        uint256 index = _queue.index[_user];
+        if (index == 0) {
+            return 0;
+        }
+
+        for (uint256 i = _queue.head; i < index; i++) {
+            if (_queue.index[_queue.entries[i]] == i + 1) {
+                place++;
+            }
+        }
+    }
+
+    /**
+     * @dev Gives the first user still waiting an exclusive claim on a slot.
+     * @return next The user offered the slot, or address(0) if nobody is waiting
+     * @return expiresAt When their claim runs out
+     */
+    function offerNext(Queue storage _queue, uint256 _claimWindow)
+        external
+        returns (address next, uint256 expiresAt)
+    {
+        uint256 head = _queue.head;
+
+        // Skip entries left behind by users who left the waitlist
+        while (head < _queue.entries.length && _queue.index[_queue.entries[head]] != head + 1) {
+            head++;
+        }
+
+        if (head < _queue.entries.length) {
+            next = _queue.entries[head];
+            head++;
+            delete _queue.index[next];
+            _queue.size--;
+
+            expiresAt = block.timestamp + _claimWindow;
+            _queue.claimExpiry[next] = expiresAt;
+            _queue.claimants.push(next);
+        }
+
+        _queue.head = head;
+    }
+
+    /**
+     * @dev Drops claims whose window has passed, releasing their slots to anyone.
+     * @return The number of slots still held for claimants
+     */
+    function pruneClaims(Queue storage _queue) external returns (uint256) {
+        address[] storage claimants = _queue.claimants;
+        uint256 i = 0;
+        while (i < claimants.length) {
+            if (_queue.claimExpiry[claimants[i]] < block.timestamp) {
+                _removeClaim(_queue, claimants[i]);
+            } else {
+                i++;
+            }
+        }
+        return claimants.length;
+    }
+
+    /**
+     * @dev Uses up a user's claim. Returns false if they did not have one.
+     */
+    function takeClaim(Queue storage _queue, address _user) external returns (bool) {
+        if (_queue.claimExpiry[_user] == 0) {
+            return false;
+        }
+        _removeClaim(_queue, _user);
+        return true;
+    }
+
+    /**
+     * @dev Number of slots currently held for claimants.
+     */
+    function reservedSlots(Queue storage _queue) external view returns (uint256 count) {
+        address[] storage claimants = _queue.claimants;
+        for (uint256 i = 0; i < claimants.length; i++) {
+            if (_queue.claimExpiry[claimants[i]] >= block.timestamp) {
+                count++;
+            }
+        }
+    }
+
+    function _removeClaim(Queue storage _queue, address _user) private {
+        address[] storage claimants = _queue.claimants;
+        for (uint256 i = 0; i < claimants.length; i++) {
+            if (claimants[i] == _user) {
+                claimants[i] = claimants[claimants.length - 1];
+                claimants.pop();
+                break;
+            }
+        }
+        delete _queue.claimExpiry[_user];
+    }
+}
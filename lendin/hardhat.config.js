@@ -1,9 +1,34 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { task } = require("hardhat/config");
+const { TASK_COMPILE } = require("hardhat/builtin-tasks/task-names");
+const { writeAbiHashes } = require("./scripts/lib/deployments");
+require("./tasks/circle");
+
+// Record the ABIs of every fresh build for the frontend, which compares them
+// against its deployments manifest to spot deployments that are out of date
+task(TASK_COMPILE, async (args, hre, runSuper) => {
+  const result = await runSuper(args);
+  await writeAbiHashes(hre.artifacts);
+  return result;
+});
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    // OpenZeppelin's ERC20Permit needs 0.8.24 and the Cancun MCOPY opcode
+    version: "0.8.24",
+    settings: {
+      evmVersion: "cancun",
+      // LendingCircle is close to the 24 KB contract size limit, and the IR
+      // pipeline together with the optimizer keeps it under
+      viaIR: true,
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   networks: {
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "",
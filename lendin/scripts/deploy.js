@@ -1,4 +1,6 @@
 const hre = require("hardhat");
+const { parseAmount, printSeedReport, readCatalog, seedCatalog } = require("./lib/catalog");
+const { circleAbi, writeDeployment } = require("./lib/deployments");
 
 async function main() {
   // 1. Get the deployer's account
@@ -10,17 +12,84 @@ async function main() {
   const Token = await hre.ethers.getContractFactory("MockStakeToken");
   const token = await Token.deploy();
   await token.waitForDeployment(); // Wait for the transaction to be mined
+  // The frontend reads events from this block on
+  const deployBlock = (await token.deploymentTransaction().wait()).blockNumber;
 
   const tokenAddress = await token.getAddress();
   console.log(`MockStakeToken (MST) deployed to: ${tokenAddress}`);
 
-  // 3. Deploy the LendingCircle, passing the token's address to its constructor
-  const LendingCircle = await hre.ethers.getContractFactory("LendingCircle"); // <-- Make sure this matches your .sol file name
-  const lendingCircle = await LendingCircle.deploy(tokenAddress); // Pass the token address
+  // 3. Deploy the libraries LendingCircle and its admin module link against
+  const libraries = {};
+  for (const name of ["Disputes", "Penalties", "Reputation", "Waitlist"]) {
+    const Library = await hre.ethers.getContractFactory(name);
+    const library = await Library.deploy();
+    await library.waitForDeployment();
+
+    libraries[name] = await library.getAddress();
+    console.log(`${name} library deployed to: ${libraries[name]}`);
+  }
+
+  // 4. Deploy the admin module that LendingCircle forwards management calls to
+  const Admin = await hre.ethers.getContractFactory("LendingCircleAdmin", {
+    libraries: { Penalties: libraries.Penalties, Reputation: libraries.Reputation },
+  });
+  const admin = await Admin.deploy();
+  await admin.waitForDeployment();
+
+  const adminAddress = await admin.getAddress();
+  console.log(`LendingCircleAdmin deployed to: ${adminAddress}`);
+
+  // 5. Deploy the LendingCircle, passing the token and admin module addresses to its constructor
+  const LendingCircle = await hre.ethers.getContractFactory("LendingCircle", { // <-- Make sure this matches your .sol file name
+    libraries,
+  });
+  const lendingCircle = await LendingCircle.deploy(tokenAddress, adminAddress);
   await lendingCircle.waitForDeployment();
 
   const circleAddress = await lendingCircle.getAddress();
   console.log(`LendingCircle deployed to: ${circleAddress}`);
+
+  // 6. Deploy the factory, which clones the LendingCircle above for every new circle
+  const Factory = await hre.ethers.getContractFactory("LendingCircleFactory");
+  const factory = await Factory.deploy(circleAddress);
+  await factory.waitForDeployment();
+
+  const factoryAddress = await factory.getAddress();
+  console.log(`LendingCircleFactory deployed to: ${factoryAddress}`);
+
+  // 7. List a starting catalog, if one is given with CATALOG=catalog.json
+  if (process.env.CATALOG) {
+    const catalog = readCatalog(process.env.CATALOG);
+    if (catalog.rewardPool) {
+      // The mock token starts with no supply, so mint what the pool is funded with
+      const { amount } = parseAmount(catalog.rewardPool, { MST: { address: tokenAddress, decimals: 18 } });
+      await (await token.mint(deployer.address, amount)).wait();
+    }
+
+    const circle = await hre.ethers.getContractAt(await circleAbi(hre.artifacts), circleAddress, deployer);
+    printSeedReport(await seedCatalog(circle, catalog));
+  }
+
+  // 8. Record the deployment for the frontend. The in-process hardhat
+  // network is gone once this script exits, so it is not recorded.
+  if (hre.network.name === "hardhat") {
+    console.log("Not writing the deployments manifest for the in-process hardhat network");
+    return;
+  }
+  const { chainId } = await deployer.provider.getNetwork();
+  const manifestPath = await writeDeployment(hre.artifacts, {
+    chainId: chainId.toString(),
+    network: hre.network.name,
+    deployBlock,
+    addresses: {
+      MockStakeToken: tokenAddress,
+      LendingCircleAdmin: adminAddress,
+      LendingCircle: circleAddress,
+      LendingCircleFactory: factoryAddress,
+      ...libraries,
+    },
+  });
+  console.log(`Deployment for chain ${chainId} written to ${manifestPath}`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,28 @@
+// Collects a circle's active borrows. The circle keeps no list of them, so
+// every borrower/resource pair ever borrowed is read from ResourceBorrowed
+// events and checked against activeBorrows.
+
+/**
+ * @param {Object} circle The circle to read
+ * @param {number} fromBlock First block to read events from, such as the deploy block
+ * @returns {Promise<Object[]>} The active BorrowRecords, oldest borrow first
+ */
+async function findActiveBorrows(circle, fromBlock = 0) {
+  const borrowed = await circle.queryFilter(circle.filters.ResourceBorrowed(), fromBlock);
+  const candidates = new Map();
+  for (const event of borrowed) {
+    const { resourceId, borrower } = event.args;
+    candidates.set(`${borrower}-${resourceId}`, { borrower, resourceId });
+  }
+
+  const active = [];
+  for (const { borrower, resourceId } of candidates.values()) {
+    const borrowRecord = await circle.activeBorrows(borrower, resourceId);
+    if (borrowRecord.isActive) {
+      active.push(borrowRecord);
+    }
+  }
+  return active.sort((a, b) => (a.borrowTime < b.borrowTime ? -1 : a.borrowTime > b.borrowTime ? 1 : 0));
+}
+
+module.exports = { findActiveBorrows };
@@ -0,0 +1,312 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// Reads a catalog of resources to list in a circle, written with units a
+// person can type: durations such as "7d" or "12h", and amounts such as
+// "5 MST" in the token's own units.
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address) view returns (uint256)",
+  "function approve(address, uint256) returns (bool)",
+];
+
+const SECONDS_PER_UNIT = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+const RESOURCE_TYPES = { PHYSICAL: 0, DIGITAL: 1 };
+
+const CSV_COLUMNS = ["name", "type", "maxBorrows", "stake", "duration", "penalty", "reward", "metadataURI", "category"];
+
+/**
+ * Turns "90", "30m", "12h", "7d" or "2w" into seconds.
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([smhdw]?)$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}", use a number followed by s, m, h, d or w`);
+  }
+  return BigInt(match[1]) * BigInt(SECONDS_PER_UNIT[(match[2] || "s").toLowerCase()]);
+}
+
+/**
+ * Turns "5 MST" into the token's address and the amount in its smallest unit.
+ * A bare "0" is allowed for optional amounts and has no token.
+ * @param {Object<string, {address: string, decimals: number}>} tokens Allowed stake tokens by symbol
+ */
+function parseAmount(value, tokens) {
+  const text = String(value).trim();
+  if (/^0*(\.0*)?$/.test(text)) {
+    return { token: null, amount: 0n };
+  }
+
+  const match = text.match(/^(\d+(?:\.\d+)?)\s+(\S+)$/);
+  if (!match) {
+    throw new Error(`Invalid amount "${value}", use a number followed by a token symbol such as "5 MST"`);
+  }
+  const token = tokens[match[2].toUpperCase()];
+  if (!token) {
+    throw new Error(`Stake token ${match[2]} is not allowed in this circle`);
+  }
+  return { token: token.address, amount: ethers.parseUnits(match[1], token.decimals) };
+}
+
+/**
+ * Splits one CSV line into its fields. A field in double quotes can hold
+ * commas, and "" inside it stands for one quote. Fields cannot span lines.
+ * @param {number} lineNumber 1-based line in the file, for errors
+ */
+function splitCsvLine(line, lineNumber) {
+  const values = [];
+  let value = "";
+  let quoted = false;
+  let i = 0;
+  while (i < line.length) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === ",") {
+      values.push(value.trim());
+      value = "";
+    } else if (char === '"' && value.trim() === "") {
+      quoted = true;
+      value = "";
+    } else if (char === '"') {
+      throw new Error(`Line ${lineNumber}: unexpected quote inside an unquoted field`);
+    } else {
+      value += char;
+    }
+    i++;
+  }
+  if (quoted) {
+    throw new Error(`Line ${lineNumber}: quoted field is not closed`);
+  }
+  values.push(value.trim());
+  return values;
+}
+
+function parseCsv(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line, index) => [line, index + 1])
+    .filter(([line]) => line.trim() !== "")
+    .map(([line, lineNumber]) => splitCsvLine(line, lineNumber));
+
+  // The header row is optional; without one, columns are in CSV_COLUMNS order
+  let columns = CSV_COLUMNS;
+  if (rows.length > 0 && rows[0].some((value) => value.toLowerCase() === "name")) {
+    const header = rows.shift().map((value) => value.toLowerCase());
+    columns = header.map((value) => CSV_COLUMNS.find((column) => column.toLowerCase() === value) || value);
+  }
+
+  return rows.map((values) => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ""])));
+}
+
+/**
+ * Reads a JSON or CSV catalog.
+ * A JSON catalog is either a list of entries or { rewardPool, resources }.
+ * @returns {{ rewardPool: string|undefined, resources: Object[] }}
+ */
+function parseCatalog(text, format) {
+  if (format === "json") {
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? { resources: parsed } : { rewardPool: parsed.rewardPool, resources: parsed.resources || [] };
+  }
+  if (format === "csv") {
+    return { resources: parseCsv(text) };
+  }
+  throw new Error(`Unknown catalog format "${format}", use json or csv`);
+}
+
+// Reads a catalog file, telling JSON from CSV by its extension
+function readCatalog(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  return parseCatalog(fs.readFileSync(file, "utf8"), format);
+}
+
+/**
+ * Converts a catalog entry to addResource's arguments, checking it against
+ * the same rules addResource does so a bad entry fails before any transaction.
+ */
+function resolveEntry(entry, tokens) {
+  const name = String(entry.name || "").trim();
+  if (name.length === 0) {
+    throw new Error("Name cannot be empty");
+  }
+
+  const type = RESOURCE_TYPES[String(entry.type || "PHYSICAL").trim().toUpperCase()];
+  if (type === undefined) {
+    throw new Error(`Invalid type "${entry.type}", use physical or digital`);
+  }
+
+  const maxBorrows = entry.maxBorrows === undefined || entry.maxBorrows === "" ? 1n : BigInt(entry.maxBorrows);
+  if (type === RESOURCE_TYPES.PHYSICAL) {
+    if (maxBorrows !== 1n) throw new Error("Physical items must have maxBorrows = 1");
+  } else if (maxBorrows <= 0n) {
+    throw new Error("Digital items must allow at least 1 borrow");
+  }
+
+  const stake = parseAmount(entry.stake ?? "0", tokens);
+  if (stake.amount === 0n) {
+    throw new Error("Stake must be greater than zero");
+  }
+
+  const duration = parseDuration(entry.duration ?? "0");
+  if (duration === 0n) {
+    throw new Error("Duration must be greater than zero");
+  }
+
+  // Penalties and rewards are paid out of the stake token
+  const penalty = parseAmount(entry.penalty || "0", tokens);
+  const reward = parseAmount(entry.reward || "0", tokens);
+  for (const amount of [penalty, reward]) {
+    if (amount.token && amount.token !== stake.token) {
+      throw new Error("Penalty and reward must be in the stake token");
+    }
+  }
+
+  return {
+    name,
+    type,
+    maxBorrows,
+    stake: stake.amount,
+    duration,
+    penalty: penalty.amount,
+    reward: reward.amount,
+    metadataURI: String(entry.metadataURI || ""),
+    stakeToken: stake.token,
+    category: String(entry.category || "").trim(),
+  };
+}
+
+/**
+ * Returns the circle's allowed stake tokens by upper-case symbol.
+ */
+async function loadStakeTokens(circle) {
+  const tokens = {};
+  for (const address of await circle.getStakeTokens()) {
+    if (!(await circle.allowedStakeTokens(address))) continue;
+
+    const token = new ethers.Contract(address, ERC20_ABI, circle.runner);
+    tokens[(await token.symbol()).toUpperCase()] = { address, decimals: Number(await token.decimals()) };
+  }
+  return tokens;
+}
+
+/**
+ * Lists every catalog entry the circle does not have yet, then optionally
+ * funds the reward pool. Nothing is sent if any entry is invalid.
+ * Entries are matched to existing resources by name.
+ * @param {Object} circle The circle, connected to an approved lender
+ * @param {{ rewardPool: string|undefined, resources: Object[] }} catalog
+ * @returns {Promise<{ created: Object[], skipped: Object[], funded: Object|null }>}
+ */
+async function seedCatalog(circle, catalog) {
+  // 1. Resolve every entry before sending anything
+  const tokens = await loadStakeTokens(circle);
+  const problems = [];
+  const entries = catalog.resources.map((entry, index) => {
+    try {
+      return resolveEntry(entry, tokens);
+    } catch (error) {
+      problems.push(`Entry ${index + 1} (${entry.name || "unnamed"}): ${error.message}`);
+      return null;
+    }
+  });
+  let rewardPool = null;
+  if (catalog.rewardPool) {
+    try {
+      rewardPool = parseAmount(catalog.rewardPool, tokens);
+    } catch (error) {
+      problems.push(`Reward pool: ${error.message}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Catalog has invalid entries:\n  ${problems.join("\n  ")}`);
+  }
+  if (rewardPool && rewardPool.amount > 0n) {
+    const token = new ethers.Contract(rewardPool.token, ERC20_ABI, circle.runner);
+    if ((await token.balanceOf(await circle.runner.getAddress())) < rewardPool.amount) {
+      throw new Error("Balance is too low to fund the reward pool");
+    }
+  }
+
+  // 2. Find the names the circle already lists
+  const existing = new Map();
+  const count = await circle.getResourceCount();
+  for (let id = 1n; id <= count; id++) {
+    existing.set((await circle.resources(id)).name, id);
+  }
+
+  // 3. Add the new ones
+  const created = [];
+  const skipped = [];
+  for (const entry of entries) {
+    if (existing.has(entry.name)) {
+      skipped.push({ id: existing.get(entry.name), name: entry.name });
+      continue;
+    }
+
+    const tx = await circle.addResource(
+      entry.name,
+      entry.type,
+      entry.maxBorrows,
+      entry.stake,
+      entry.duration,
+      entry.penalty,
+      entry.reward,
+      entry.metadataURI,
+      entry.stakeToken,
+      entry.category
+    );
+    const receipt = await tx.wait();
+    const id = receipt.logs
+      .map((log) => circle.interface.parseLog(log))
+      .find((log) => log && log.name === "ResourceAdded").args.resourceId;
+    existing.set(entry.name, id);
+    created.push({ id, name: entry.name });
+  }
+
+  // 4. Fund the reward pool
+  let funded = null;
+  if (rewardPool && rewardPool.amount > 0n) {
+    const token = new ethers.Contract(rewardPool.token, ERC20_ABI, circle.runner);
+    await (await token.approve(circle.target, rewardPool.amount)).wait();
+    await (await circle.depositToRewardPool(rewardPool.token, rewardPool.amount)).wait();
+    funded = { ...rewardPool, text: catalog.rewardPool };
+  }
+
+  return { created, skipped, funded };
+}
+
+function printSeedReport({ created, skipped, funded }) {
+  for (const { id, name } of created) {
+    console.log(`Created resource ${id}: ${name}`);
+  }
+  for (const { id, name } of skipped) {
+    console.log(`Skipped ${name}, already listed as resource ${id}`);
+  }
+  if (funded) {
+    console.log(`Deposited ${funded.text} into the reward pool`);
+  }
+  console.log(`Created ${created.length} resources, skipped ${skipped.length}`);
+}
+
+module.exports = {
+  loadStakeTokens,
+  parseAmount,
+  parseCatalog,
+  parseDuration,
+  printSeedReport,
+  readCatalog,
+  resolveEntry,
+  seedCatalog,
+};
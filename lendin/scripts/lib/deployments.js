@@ -0,0 +1,83 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// The deployments manifest the frontend imports: addresses, ABIs and the
+// deploy block of every contract it talks to, keyed by chainId.
+// DEPLOYMENTS_MANIFEST points elsewhere, such as a scratch file in tests.
+const MANIFEST_PATH = path.join(__dirname, "../../../frontend/src/deployments.json");
+const manifestPath = () => process.env.DEPLOYMENTS_MANIFEST || MANIFEST_PATH;
+// ABI hashes of the current artifacts, so the frontend can tell when a
+// deployment's ABI is out of date. Rewritten on every compile.
+const ABI_HASHES_PATH = path.join(__dirname, "../../../frontend/src/abi-hashes.json");
+
+const signature = (fragment) => `${fragment.name}(${(fragment.inputs || []).map((input) => input.type).join(",")})`;
+
+/**
+ * Returns a circle's full ABI. A circle forwards its management calls to
+ * LendingCircleAdmin, so its ABI is both put together.
+ */
+async function circleAbi(artifacts) {
+  const circle = (await artifacts.readArtifact("LendingCircle")).abi;
+  const admin = (await artifacts.readArtifact("LendingCircleAdmin")).abi;
+  const known = new Set(circle.filter((fragment) => fragment.type === "function").map(signature));
+
+  return [
+    ...circle,
+    ...admin.filter((fragment) => fragment.type === "function" && !known.has(signature(fragment))),
+  ];
+}
+
+// Returns the ABI of each contract the frontend uses
+async function frontendAbis(artifacts) {
+  return {
+    LendingCircle: await circleAbi(artifacts),
+    LendingCircleFactory: (await artifacts.readArtifact("LendingCircleFactory")).abi,
+    MockStakeToken: (await artifacts.readArtifact("MockStakeToken")).abi,
+  };
+}
+
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+function readManifest() {
+  const file = manifestPath();
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+/**
+ * Replaces one chain's entry in the manifest.
+ * @param {Object<string, string>} addresses Contract name to address
+ */
+async function writeDeployment(artifacts, { chainId, network, deployBlock, addresses }) {
+  const abis = await frontendAbis(artifacts);
+  const contracts = {};
+  for (const [name, address] of Object.entries(addresses)) {
+    contracts[name] = abis[name] ? { address, abi: abis[name], abiHash: abiHash(abis[name]) } : { address };
+  }
+
+  const manifest = readManifest();
+  manifest[chainId] = { network, deployBlock, contracts };
+  const file = manifestPath();
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Writes the ABI hashes of the current artifacts, leaving the file alone
+ * when nothing changed.
+ */
+async function writeAbiHashes(artifacts) {
+  const hashes = {};
+  for (const [name, abi] of Object.entries(await frontendAbis(artifacts))) {
+    hashes[name] = abiHash(abi);
+  }
+
+  const content = JSON.stringify(hashes, null, 2) + "\n";
+  if (!fs.existsSync(ABI_HASHES_PATH) || fs.readFileSync(ABI_HASHES_PATH, "utf8") !== content) {
+    fs.writeFileSync(ABI_HASHES_PATH, content);
+  }
+}
+
+module.exports = { abiHash, circleAbi, readManifest, writeAbiHashes, writeDeployment };
@@ -0,0 +1,73 @@
+const { ethers } = require("ethers");
+
+// Builds the invite tree LendingCircle.joinCircle checks proofs against.
+// Leaves are keccak256(bytes.concat(keccak256(abi.encode(account)))) and
+// pairs are hashed in sorted order, as OpenZeppelin's MerkleProof expects.
+
+function leafFor(account) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(["address"], [account]);
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Returns the tree's root and a proof for every account.
+ * @param {string[]} accounts Addresses to invite; duplicates are ignored
+ * @returns {{ root: string, proofs: Object<string, string[]> }}
+ */
+function buildTree(accounts) {
+  const unique = [...new Set(accounts.map((account) => ethers.getAddress(account)))];
+  if (unique.length === 0) {
+    throw new Error("Cannot build an invite tree without accounts");
+  }
+
+  // Sorting the leaves makes the root independent of the input order
+  const leaves = unique.map((account) => ({ account, hash: leafFor(account) }));
+  leaves.sort((a, b) => (BigInt(a.hash) < BigInt(b.hash) ? -1 : 1));
+
+  const layers = [leaves.map((leaf) => leaf.hash)];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      // An odd node out moves up unchanged
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+
+  const proofs = {};
+  leaves.forEach(({ account }, leafIndex) => {
+    const proof = [];
+    let index = leafIndex;
+    for (const layer of layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < layer.length) {
+        proof.push(layer[sibling]);
+      }
+      index = Math.floor(index / 2);
+    }
+    proofs[account] = proof;
+  });
+
+  return { root: layers[layers.length - 1][0], proofs };
+}
+
+/**
+ * Reads addresses from CSV text: the first address-looking value on each
+ * line, so a header row or extra columns such as names are skipped.
+ */
+function parseAddressCsv(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.split(",").map((value) => value.trim().replace(/^"|"$/g, "")))
+    .map((values) => values.find((value) => ethers.isAddress(value)))
+    .filter(Boolean);
+}
+
+module.exports = { buildTree, leafFor, parseAddressCsv };
@@ -0,0 +1,44 @@
+const hre = require("hardhat");
+const { findActiveBorrows } = require("./lib/borrows");
+
+// Keeper for a local node: finds borrows whose late penalty has reached its
+// limit (the whole stake, or the curve's cap) and liquidates them for the keeper bounty.
+//
+//   LENDING_CIRCLE_ADDRESS=0x... npx hardhat run scripts/liquidate.js --network localhost
+async function main() {
+  const circleAddress = process.env.LENDING_CIRCLE_ADDRESS;
+  if (!circleAddress) {
+    throw new Error("Set LENDING_CIRCLE_ADDRESS to the deployed LendingCircle");
+  }
+
+  // 1. Connect to the circle with the keeper's account
+  const [keeper] = await hre.ethers.getSigners();
+  const lendingCircle = await hre.ethers.getContractAt("LendingCircle", circleAddress, keeper);
+  console.log("Running keeper with the account:", keeper.address);
+
+  // 2. Collect the borrows that are still active
+  const borrows = await findActiveBorrows(lendingCircle);
+
+  // 3. Liquidate the ones whose penalty has reached its limit
+  let liquidated = 0;
+  for (const { borrower, resourceId } of borrows) {
+    const preview = await lendingCircle.previewReturn(borrower, resourceId);
+    if (preview.secondsOverdue === 0n || preview.penalty < preview.penaltyLimit) continue;
+
+    try {
+      const tx = await lendingCircle.liquidate(borrower, resourceId);
+      await tx.wait();
+      liquidated++;
+      console.log(`Liquidated resource ${resourceId} borrowed by ${borrower}`);
+    } catch (error) {
+      console.error(`Could not liquidate resource ${resourceId} borrowed by ${borrower}:`, error.shortMessage || error.message);
+    }
+  }
+
+  console.log(`Checked ${borrows.length} borrows, liquidated ${liquidated}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
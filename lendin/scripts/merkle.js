@@ -0,0 +1,34 @@
+const fs = require("fs");
+const { buildTree, parseAddressCsv } = require("./lib/merkle");
+
+// Builds the invite tree for a MERKLE membership circle from a CSV of
+// addresses, and writes the root plus each member's proof to a JSON file.
+//
+//   MEMBERS_CSV=members.csv npx hardhat run scripts/merkle.js
+//
+// Set the root with setMembershipMode(2, root), then send each member their
+// proof to paste into the frontend's "Join Circle" form.
+async function main() {
+  const csvPath = process.env.MEMBERS_CSV;
+  if (!csvPath) {
+    throw new Error("Set MEMBERS_CSV to a CSV file with one address per line");
+  }
+  const outPath = process.env.MERKLE_OUT || "members-merkle.json";
+
+  // 1. Read the addresses
+  const accounts = parseAddressCsv(fs.readFileSync(csvPath, "utf8"));
+  console.log(`Read ${accounts.length} addresses from ${csvPath}`);
+
+  // 2. Build the tree and its proofs
+  const { root, proofs } = buildTree(accounts);
+
+  // 3. Save them
+  fs.writeFileSync(outPath, JSON.stringify({ root, proofs }, null, 2));
+  console.log(`Merkle root: ${root}`);
+  console.log(`Proofs for ${Object.keys(proofs).length} members written to ${outPath}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,42 @@
+const hre = require("hardhat");
+const { circleAbi, readManifest } = require("./lib/deployments");
+const { printSeedReport, readCatalog, seedCatalog } = require("./lib/catalog");
+
+// Lists the resources in a JSON or CSV catalog in a circle, skipping the ones
+// it already has, and optionally funds its reward pool.
+//
+//   CATALOG=catalog.json npx hardhat run scripts/seed.js --network localhost
+//
+// The circle is the network's LendingCircle from the deployments manifest
+// unless LENDING_CIRCLE_ADDRESS is set. The account must be an approved lender.
+async function main() {
+  const catalogPath = process.env.CATALOG;
+  if (!catalogPath) {
+    throw new Error("Set CATALOG to a .json or .csv catalog file");
+  }
+
+  // 1. Find the circle
+  const [lender] = await hre.ethers.getSigners();
+  const { chainId } = await lender.provider.getNetwork();
+  const deployment = readManifest()[chainId.toString()];
+  const circleAddress = process.env.LENDING_CIRCLE_ADDRESS || (deployment && deployment.contracts.LendingCircle.address);
+  if (!circleAddress) {
+    throw new Error(`Nothing is deployed on chain ${chainId}; set LENDING_CIRCLE_ADDRESS`);
+  }
+  const lendingCircle = await hre.ethers.getContractAt(await circleAbi(hre.artifacts), circleAddress, lender);
+  console.log(`Seeding ${circleAddress} with the account:`, lender.address);
+
+  // 2. Read the catalog; REWARD_POOL overrides the catalog's own amount
+  const catalog = readCatalog(catalogPath);
+  if (process.env.REWARD_POOL) {
+    catalog.rewardPool = process.env.REWARD_POOL;
+  }
+
+  // 3. Seed it
+  printSeedReport(await seedCatalog(lendingCircle, catalog));
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,292 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { formatUnits } = require("ethers");
+const { findActiveBorrows } = require("../scripts/lib/borrows");
+const { loadStakeTokens, parseAmount, resolveEntry } = require("../scripts/lib/catalog");
+const { circleAbi, readManifest } = require("../scripts/lib/deployments");
+
+// Day-to-day circle operations from the command line, against any configured
+// network. Addresses come from the deployments manifest the deploy script
+// writes; --circle picks another circle, such as one made by the factory.
+//
+//   npx hardhat circle:list --network sepolia
+//   npx hardhat circle:borrows --json --network sepolia
+
+const RESOURCE_TYPES = ["PHYSICAL", "DIGITAL"];
+
+// Returns this network's entry in the deployments manifest
+async function loadDeployment(hre) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = readManifest()[chainId.toString()];
+  if (!deployment) {
+    throw new Error(`Nothing is deployed on ${hre.network.name} (chain ${chainId}); run scripts/deploy.js first`);
+  }
+  return deployment;
+}
+
+// Connects to the circle with the first configured account
+async function connectCircle(hre, circleAddress) {
+  const deployment = await loadDeployment(hre);
+  const [signer] = await hre.ethers.getSigners();
+  const address = circleAddress || deployment.contracts.LendingCircle.address;
+  const circle = await hre.ethers.getContractAt(await circleAbi(hre.artifacts), address, signer);
+  return { circle, deployment, signer };
+}
+
+// Formats raw token amounts as "5.0 MST", using the circle's stake tokens
+async function amountFormatter(circle) {
+  const tokens = await loadStakeTokens(circle);
+  const byAddress = new Map(
+    Object.entries(tokens).map(([symbol, token]) => [token.address, { symbol, decimals: token.decimals }])
+  );
+  return (amount, tokenAddress) => {
+    const token = byAddress.get(tokenAddress);
+    return token ? `${formatUnits(amount, token.decimals)} ${token.symbol}` : `${amount} (${tokenAddress})`;
+  };
+}
+
+// JSON output is for scripts, so amounts stay raw and bigints become strings
+function printJson(value) {
+  console.log(JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item), 2));
+}
+
+// Prints rows as JSON, or as an aligned table for people
+function printRows(rows, json) {
+  if (json) {
+    printJson(rows);
+    return;
+  }
+  if (rows.length === 0) {
+    console.log("(none)");
+    return;
+  }
+
+  const columns = Object.keys(rows[0]);
+  const cells = rows.map((row) => columns.map((column) => String(row[column])));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((line) => line[index].length)));
+  const format = (values) => values.map((value, index) => value.padEnd(widths[index])).join("  ").trimEnd();
+  console.log(format(columns));
+  console.log(format(widths.map((width) => "-".repeat(width))));
+  cells.forEach((line) => console.log(format(line)));
+}
+
+// Reports bad input and reverts in one line instead of a stack trace
+function circleAction(action) {
+  return async (args, hre) => {
+    try {
+      return await action(args, hre);
+    } catch (error) {
+      throw new HardhatPluginError("circle", error.shortMessage || error.message, error);
+    }
+  };
+}
+
+// A resource's listing status, counting slots held for waitlist claims as
+// taken, the same way the circle's own availability check does
+async function resourceStatus(circle, resource) {
+  if (!resource.active) return "delisted";
+  const reserved = await circle.getReservedSlots(resource.id);
+  return resource.currentBorrowerCount + reserved >= resource.maxConcurrentBorrows ? "full" : "available";
+}
+
+async function latestTimestamp(hre) {
+  return BigInt((await hre.ethers.provider.getBlock("latest")).timestamp);
+}
+
+task("circle:add-resource", "Lists a new resource in the circle")
+  .addParam("name", "Name of the resource")
+  .addParam("stake", 'Stake to borrow it, such as "5 MST"')
+  .addParam("duration", 'How long it can be borrowed, such as "7d" or "12h"')
+  .addOptionalParam("type", "physical or digital", "physical")
+  .addOptionalParam("maxBorrows", "How many can borrow it at once (digital only)", "1")
+  .addOptionalParam("penalty", 'Penalty per overdue day, such as "1 MST"', "0")
+  .addOptionalParam("reward", 'Reward for an on-time return, such as "0.5 MST"', "0")
+  .addOptionalParam("metadataUri", "Link to the resource's metadata", "")
+  .addOptionalParam("category", 'Category to list it under, such as "Tools"', "")
+  .addOptionalParam("circle", "Circle address, if not the deployed LendingCircle")
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(circleAction(async (args, hre) => {
+    const { circle } = await connectCircle(hre, args.circle);
+    const entry = resolveEntry({ ...args, metadataURI: args.metadataUri }, await loadStakeTokens(circle));
+
+    const receipt = await (
+      await circle.addResource(
+        entry.name,
+        entry.type,
+        entry.maxBorrows,
+        entry.stake,
+        entry.duration,
+        entry.penalty,
+        entry.reward,
+        entry.metadataURI,
+        entry.stakeToken,
+        entry.category
+      )
+    ).wait();
+    const { resourceId } = receipt.logs
+      .map((log) => circle.interface.parseLog(log))
+      .find((log) => log && log.name === "ResourceAdded").args;
+
+    if (args.json) {
+      printJson({ resourceId, name: entry.name, transaction: receipt.hash });
+    } else {
+      console.log(`Added resource ${resourceId}: ${entry.name} (${receipt.hash})`);
+    }
+  }));
+
+task("circle:list", "Lists every resource with its status and current borrowers")
+  .addOptionalParam("circle", "Circle address, if not the deployed LendingCircle")
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(circleAction(async (args, hre) => {
+    const { circle, deployment } = await connectCircle(hre, args.circle);
+    const formatAmount = await amountFormatter(circle);
+
+    const borrowersOf = new Map();
+    for (const { borrower, resourceId } of await findActiveBorrows(circle, deployment.deployBlock)) {
+      borrowersOf.set(resourceId, [...(borrowersOf.get(resourceId) || []), borrower]);
+    }
+
+    const rows = [];
+    const count = await circle.getResourceCount();
+    for (let id = 1n; id <= count; id++) {
+      const resource = await circle.resources(id);
+      const borrowers = borrowersOf.get(id) || [];
+      rows.push({
+        id,
+        name: resource.name,
+        type: RESOURCE_TYPES[Number(resource.resourceType)],
+        category: resource.category || "-",
+        status: await resourceStatus(circle, resource),
+        borrowed: `${resource.currentBorrowerCount}/${resource.maxConcurrentBorrows}`,
+        reserved: await circle.getReservedSlots(id),
+        stake: args.json ? resource.stakeAmount : formatAmount(resource.stakeAmount, resource.stakeToken),
+        borrowers: args.json ? borrowers : borrowers.join(" ") || "-",
+      });
+    }
+    printRows(rows, args.json);
+  }));
+
+task("circle:borrows", "Lists active borrows with their deadlines, flagging overdue ones")
+  .addOptionalParam("circle", "Circle address, if not the deployed LendingCircle")
+  .addFlag("overdue", "Only list overdue borrows")
+  .addFlag("json", "Print JSON instead of a table")
+  .setAction(circleAction(async (args, hre) => {
+    const { circle, deployment } = await connectCircle(hre, args.circle);
+    const now = await latestTimestamp(hre);
+
+    const rows = (await findActiveBorrows(circle, deployment.deployBlock))
+      .map((borrow) => ({
+        resourceId: borrow.resourceId,
+        borrower: borrow.borrower,
+        deadline: new Date(Number(borrow.deadline) * 1000).toISOString(),
+        overdue: now > borrow.deadline,
+        hoursOverdue: now > borrow.deadline ? (now - borrow.deadline) / 3600n : 0n,
+      }))
+      .filter((row) => !args.overdue || row.overdue);
+    printRows(rows, args.json);
+  }));
+
+task("circle:pool", "Deposits into or withdraws from a reward pool")
+  .addPositionalParam("action", "deposit or withdraw")
+  .addPositionalParam("amount", 'Amount with its token, such as "100 MST"')
+  .addOptionalParam("circle", "Circle address, if not the deployed LendingCircle")
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(circleAction(async (args, hre) => {
+    const { circle } = await connectCircle(hre, args.circle);
+    const { token, amount } = parseAmount(args.amount, await loadStakeTokens(circle));
+    if (amount === 0n) {
+      throw new Error("Amount must be greater than 0");
+    }
+
+    let receipt;
+    if (args.action === "deposit") {
+      const stakeToken = await hre.ethers.getContractAt("IERC20", token, circle.runner);
+      await (await stakeToken.approve(circle.target, amount)).wait();
+      receipt = await (await circle.depositToRewardPool(token, amount)).wait();
+    } else if (args.action === "withdraw") {
+      // Only a treasurer can, and only the treasury's own part of the pool
+      receipt = await (await circle.withdrawFromRewardPool(token, amount)).wait();
+    } else {
+      throw new Error(`Unknown action "${args.action}", use deposit or withdraw`);
+    }
+
+    const balance = await circle.rewardPool(token);
+    if (args.json) {
+      printJson({ action: args.action, token, amount, balance, transaction: receipt.hash });
+      return;
+    }
+    const formatAmount = await amountFormatter(circle);
+    console.log(`Reward pool balance: ${formatAmount(balance, token)}`);
+  }));
+
+task("circle:mint", "Mints MockStakeToken on a test network")
+  .addParam("to", "Address to mint to")
+  .addParam("amount", "Amount of MST, such as 100")
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(circleAction(async (args, hre) => {
+    const deployment = await loadDeployment(hre);
+    const token = await hre.ethers.getContractAt("MockStakeToken", deployment.contracts.MockStakeToken.address);
+
+    const amount = hre.ethers.parseUnits(args.amount, 18);
+    const receipt = await (await token.mint(args.to, amount)).wait();
+    if (args.json) {
+      printJson({ to: args.to, amount, transaction: receipt.hash });
+    } else {
+      console.log(`Minted ${args.amount} MST to ${args.to} (${receipt.hash})`);
+    }
+  }));
+
+task("circle:report", "Summarizes the circle's resources, borrows and reward pools")
+  .addOptionalParam("circle", "Circle address, if not the deployed LendingCircle")
+  .addFlag("json", "Print JSON instead of text")
+  .setAction(circleAction(async (args, hre) => {
+    const { circle, deployment } = await connectCircle(hre, args.circle);
+    const formatAmount = await amountFormatter(circle);
+    const now = await latestTimestamp(hre);
+
+    const resources = { total: 0, available: 0, full: 0, delisted: 0 };
+    const count = await circle.getResourceCount();
+    for (let id = 1n; id <= count; id++) {
+      resources.total++;
+      resources[await resourceStatus(circle, await circle.resources(id))]++;
+    }
+
+    const borrows = await findActiveBorrows(circle, deployment.deployBlock);
+    const pools = [];
+    for (const token of await circle.getStakeTokens()) {
+      pools.push({
+        token,
+        balance: await circle.rewardPool(token),
+        free: await circle.freeRewardPool(token),
+        shares: await circle.totalPoolShares(token),
+      });
+    }
+
+    const report = {
+      circle: circle.target,
+      network: hre.network.name,
+      paused: await circle.paused(),
+      resources,
+      activeBorrows: borrows.length,
+      overdueBorrows: borrows.filter((borrow) => now > borrow.deadline).length,
+      pools,
+    };
+    if (args.json) {
+      printJson(report);
+      return;
+    }
+
+    console.log(`Circle ${report.circle} on ${report.network}${report.paused ? " (paused)" : ""}`);
+    console.log(
+      `Resources: ${resources.total} (${resources.available} available, ${resources.full} full, ${resources.delisted} delisted)`
+    );
+    console.log(`Active borrows: ${report.activeBorrows}, overdue: ${report.overdueBorrows}`);
+    printRows(
+      pools.map((pool) => ({
+        pool: formatAmount(pool.balance, pool.token),
+        free: formatAmount(pool.free, pool.token),
+        shares: pool.shares,
+      })),
+      false
+    );
+  }));
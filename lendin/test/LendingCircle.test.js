@@ -1,6 +1,15 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { buildTree } = require("../scripts/lib/merkle");
+const { parseCatalog, parseDuration, seedCatalog } = require("../scripts/lib/catalog");
+const { findActiveBorrows } = require("../scripts/lib/borrows");
+const { abiHash, circleAbi, readManifest, writeDeployment } = require("../scripts/lib/deployments");
 
 describe("LendingCircle", function () {
   
@@ -20,10 +29,38 @@ describe("LendingCircle", function () {
     await token.waitForDeployment();
     const tokenAddress = await token.getAddress();
 
-    // 3. Deploy the LendingCircle
-    const LendingCircle = await ethers.getContractFactory("LendingCircle");
-    lendingCircle = await LendingCircle.deploy(tokenAddress);
-    await lendingCircle.waitForDeployment();
+    // 3. Deploy the libraries LendingCircle and its admin module link against
+    const libraries = {};
+    for (const name of ["Disputes", "Penalties", "Reputation", "Waitlist"]) {
+      const Library = await ethers.getContractFactory(name);
+      const library = await Library.deploy();
+      await library.waitForDeployment();
+      libraries[name] = await library.getAddress();
+    }
+
+    // 4. Deploy the admin module, then the LendingCircle that delegates to it
+    const Admin = await ethers.getContractFactory("LendingCircleAdmin", {
+      libraries: { Penalties: libraries.Penalties, Reputation: libraries.Reputation },
+    });
+    const admin = await Admin.deploy();
+    await admin.waitForDeployment();
+
+    const LendingCircle = await ethers.getContractFactory("LendingCircle", { libraries });
+    const circle = await LendingCircle.deploy(tokenAddress, await admin.getAddress());
+    await circle.waitForDeployment();
+
+    // 5. Management functions are forwarded to the admin module, so talk to
+    // the circle through both ABIs at once
+    const signatures = new Set(LendingCircle.interface.fragments.map((fragment) => fragment.format("full")));
+    lendingCircle = await ethers.getContractAt(
+      [
+        ...LendingCircle.interface.fragments,
+        ...Admin.interface.fragments.filter(
+          (fragment) => fragment.type === "function" && !signatures.has(fragment.format("full"))
+        ),
+      ],
+      await circle.getAddress()
+    );
   });
 
   describe("addResource", function () {
@@ -42,7 +79,9 @@ describe("LendingCircle", function () {
         duration,
         penalty,
         reward,
-        "ipfs://bafybeic..."
+        "ipfs://bafybeic...",
+        token.target,
+        ""
       );
 
       const resourceId = 1; 
@@ -52,6 +91,7 @@ describe("LendingCircle", function () {
       expect(resource.name).to.equal("Distributed Systems Textbook");
       expect(resource.stakeAmount).to.equal(stakeAmount);
       expect(resource.active).to.be.true;
+      expect(resource.lender).to.equal(owner.address);
     });
 
     it("Should emit a ResourceAdded event", async function () {
@@ -60,26 +100,26 @@ describe("LendingCircle", function () {
 
       await expect(
         lendingCircle.connect(owner).addResource(
-          "Book 2", 1, 5, stakeAmount, 86400, 0, 0, ""
+          "Book 2", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, "Books"
         )
       ).to.emit(lendingCircle, "ResourceAdded")
-       .withArgs(resourceId, "Book 2", stakeAmount, 5);
+       .withArgs(resourceId, "Book 2", stakeAmount, 5, "Books");
     });
 
-    it("Should REVERT if a non-owner tries to add a resource", async function () {
+    it("Should REVERT if an unapproved member tries to add a resource", async function () {
       await expect(
         lendingCircle.connect(user1).addResource(
           "Failed Book",
-          0, 1, 100, 86400, 0, 0, ""
+          0, 1, 100, 86400, 0, 0, "", token.target, ""
         )
-      ).to.be.revertedWith("Caller is not the owner");
+      ).to.be.revertedWith("Caller is not an approved lender");
     });
 
     it("Should REVERT if stake amount is zero", async function () {
       await expect(
         lendingCircle.connect(owner).addResource(
           "Free Book",
-          1, 5, 0, 86400, 0, 0, ""
+          1, 5, 0, 86400, 0, 0, "", token.target, ""
         )
       ).to.be.revertedWith("Stake must be greater than zero");
     });
@@ -90,12 +130,152 @@ describe("LendingCircle", function () {
           "Physical Book",
           0, // PHYSICAL
           5, // maxBorrows = 5 (invalid)
-          100, 86400, 0, 0, ""
+          100, 86400, 0, 0, "", token.target, ""
         )
       ).to.be.revertedWith("Physical items must have maxBorrows = 1");
     });
   });
 
+  describe("updateResource", function () {
+    const resourceId = 1;
+    let stakeAmount;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      await lendingCircle.connect(owner).addResource(
+        "Test Book", 0, 1, stakeAmount, 86400, 0, 0, "ipfs://old", token.target, ""
+      );
+    });
+
+    it("Should allow the owner to update a resource's terms", async function () {
+      const newStake = ethers.parseUnits("50", 18);
+      const newPenalty = ethers.parseUnits("2", 18);
+      const newReward = ethers.parseUnits("1", 18);
+
+      await expect(
+        lendingCircle.connect(owner).updateResource(
+          resourceId, newStake, 172800, newPenalty, newReward, "ipfs://new"
+        )
+      ).to.emit(lendingCircle, "ResourceUpdated")
+       .withArgs(resourceId, newStake, 172800, newPenalty, newReward, "ipfs://new");
+
+      const resource = await lendingCircle.resources(resourceId);
+      expect(resource.stakeAmount).to.equal(newStake);
+      expect(resource.borrowDuration).to.equal(172800);
+      expect(resource.latePenaltyPerDay).to.equal(newPenalty);
+      expect(resource.onTimeReward).to.equal(newReward);
+      expect(resource.metadataURI).to.equal("ipfs://new");
+      // Name and capacity are not editable
+      expect(resource.name).to.equal("Test Book");
+      expect(resource.maxConcurrentBorrows).to.equal(1);
+    });
+
+    it("Should keep the original terms for an active borrow", async function () {
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(resourceId);
+
+      // Owner makes the terms much harsher mid-borrow
+      await lendingCircle.connect(owner).updateResource(
+        resourceId, stakeAmount * 2n, 3600, stakeAmount, 0, ""
+      );
+
+      // 2 hours in: late under the new duration, on time under the old one
+      await time.increase(2 * 60 * 60);
+
+      await expect(
+        lendingCircle.connect(user1).returnResource(resourceId)
+      ).to.emit(lendingCircle, "ResourceReturned")
+       .withArgs(resourceId, user1.address, stakeAmount, 0);
+    });
+
+    it("Should REVERT if a non-owner tries to update a resource", async function () {
+      await expect(
+        lendingCircle.connect(user1).updateResource(resourceId, 1, 1, 0, 0, "")
+      ).to.be.revertedWith("Caller is not a curator or the lender");
+    });
+
+    it("Should REVERT if the resource does not exist", async function () {
+      await expect(
+        lendingCircle.connect(owner).updateResource(99, 1, 1, 0, 0, "")
+      ).to.be.revertedWith("Resource does not exist");
+    });
+
+    it("Should REVERT if the new stake or duration is zero", async function () {
+      await expect(
+        lendingCircle.connect(owner).updateResource(resourceId, 0, 86400, 0, 0, "")
+      ).to.be.revertedWith("Stake must be greater than zero");
+      await expect(
+        lendingCircle.connect(owner).updateResource(resourceId, stakeAmount, 0, 0, 0, "")
+      ).to.be.revertedWith("Duration must be greater than zero");
+    });
+  });
+
+  describe("delistResource / relistResource", function () {
+    const resourceId = 1;
+    let stakeAmount;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      await lendingCircle.connect(owner).addResource(
+        "Test Book", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, ""
+      );
+      await token.connect(owner).mint(user1.address, stakeAmount * 2n);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount * 2n);
+    });
+
+    it("Should delist a resource and block new borrows", async function () {
+      await expect(lendingCircle.connect(owner).delistResource(resourceId))
+        .to.emit(lendingCircle, "ResourceStatusChanged")
+        .withArgs(resourceId, false);
+
+      expect((await lendingCircle.resources(resourceId)).active).to.be.false;
+      expect(await lendingCircle.getAvailableResources()).to.have.lengthOf(0);
+
+      await expect(
+        lendingCircle.connect(user1).borrowResource(resourceId)
+      ).to.be.revertedWith("Resource is not available");
+    });
+
+    it("Should still allow current borrowers to return a delisted resource", async function () {
+      await lendingCircle.connect(user1).borrowResource(resourceId);
+      await lendingCircle.connect(owner).delistResource(resourceId);
+
+      await expect(
+        lendingCircle.connect(user1).returnResource(resourceId)
+      ).to.emit(lendingCircle, "ResourceReturned")
+       .withArgs(resourceId, user1.address, stakeAmount, 0);
+    });
+
+    it("Should relist a delisted resource", async function () {
+      await lendingCircle.connect(owner).delistResource(resourceId);
+
+      await expect(lendingCircle.connect(owner).relistResource(resourceId))
+        .to.emit(lendingCircle, "ResourceStatusChanged")
+        .withArgs(resourceId, true);
+
+      await expect(lendingCircle.connect(user1).borrowResource(resourceId))
+        .to.emit(lendingCircle, "ResourceBorrowed");
+    });
+
+    it("Should REVERT on a repeated status change", async function () {
+      await expect(
+        lendingCircle.connect(owner).relistResource(resourceId)
+      ).to.be.revertedWith("Resource is already listed");
+
+      await lendingCircle.connect(owner).delistResource(resourceId);
+      await expect(
+        lendingCircle.connect(owner).delistResource(resourceId)
+      ).to.be.revertedWith("Resource is already delisted");
+    });
+
+    it("Should REVERT if a non-owner changes the status", async function () {
+      await expect(
+        lendingCircle.connect(user1).delistResource(resourceId)
+      ).to.be.revertedWith("Caller is not a curator or the lender");
+    });
+  });
+
   describe("borrowResource", function () {
     const resourceId = 1;
     let stakeAmount;
@@ -103,7 +283,7 @@ describe("LendingCircle", function () {
     beforeEach(async function () {
       stakeAmount = ethers.parseUnits("100", 18);
       await lendingCircle.connect(owner).addResource(
-        "Test Book", 1, 5, stakeAmount, 86400, 0, 0, ""
+        "Test Book", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, ""
       );
 
       // Mint tokens to user1 and approve the contract
@@ -133,7 +313,7 @@ describe("LendingCircle", function () {
     it("Should REVERT if resource is at max capacity", async function () {
       // Create a resource with maxBorrows = 1
       await lendingCircle.connect(owner).addResource(
-        "Single Book", 0, 1, stakeAmount, 86400, 0, 0, ""
+        "Single Book", 0, 1, stakeAmount, 86400, 0, 0, "", token.target, ""
       );
       const singleBookId = 2;
 
@@ -173,9 +353,9 @@ describe("LendingCircle", function () {
       const stakeAmount = ethers.parseUnits("100", 18);
 
       // Add 3 resources
-      await lendingCircle.connect(owner).addResource("Book 1", 1, 2, stakeAmount, 86400, 0, 0, ""); // ID 1
-      await lendingCircle.connect(owner).addResource("Book 2", 0, 1, stakeAmount, 86400, 0, 0, ""); // ID 2
-      await lendingCircle.connect(owner).addResource("Book 3", 1, 5, stakeAmount, 86400, 0, 0, ""); // ID 3
+      await lendingCircle.connect(owner).addResource("Book 1", 1, 2, stakeAmount, 86400, 0, 0, "", token.target, ""); // ID 1
+      await lendingCircle.connect(owner).addResource("Book 2", 0, 1, stakeAmount, 86400, 0, 0, "", token.target, ""); // ID 2
+      await lendingCircle.connect(owner).addResource("Book 3", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, ""); // ID 3
 
       // Borrow resource 2 (making it unavailable)
       await token.connect(owner).mint(user1.address, stakeAmount);
@@ -196,9 +376,9 @@ describe("LendingCircle", function () {
       const stakeAmount = ethers.parseUnits("100", 18);
 
       // Add 3 resources
-      await lendingCircle.connect(owner).addResource("Book 1", 1, 2, stakeAmount, 86400, 0, 0, ""); // ID 1
-      await lendingCircle.connect(owner).addResource("Book 2", 0, 1, stakeAmount, 86400, 0, 0, ""); // ID 2
-      await lendingCircle.connect(owner).addResource("Book 3", 1, 5, stakeAmount, 86400, 0, 0, ""); // ID 3
+      await lendingCircle.connect(owner).addResource("Book 1", 1, 2, stakeAmount, 86400, 0, 0, "", token.target, ""); // ID 1
+      await lendingCircle.connect(owner).addResource("Book 2", 0, 1, stakeAmount, 86400, 0, 0, "", token.target, ""); // ID 2
+      await lendingCircle.connect(owner).addResource("Book 3", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, ""); // ID 3
 
       // user1 borrows resources 1 and 3
       await token.connect(owner).mint(user1.address, stakeAmount * 2n);
@@ -237,7 +417,9 @@ describe("LendingCircle", function () {
         duration,
         penalty,
         reward,
-        "ipfs://test-uri"
+        "ipfs://test-uri",
+        token.target,
+        ""
       );
 
       const resourceId = 1;
@@ -254,6 +436,14 @@ describe("LendingCircle", function () {
       expect(resourceDetails.onTimeReward).to.equal(reward);
       expect(resourceDetails.metadataURI).to.equal("ipfs://test-uri");
       expect(resourceDetails.active).to.be.true;
+      expect(resourceDetails.stakeToken).to.equal(token.target);
+    });
+
+    it("Should report the total number of resources", async function () {
+      expect(await lendingCircle.getResourceCount()).to.equal(0);
+      await lendingCircle.connect(owner).addResource("Book 1", 1, 2, 100, 86400, 0, 0, "", token.target, "");
+      await lendingCircle.connect(owner).addResource("Book 2", 0, 1, 100, 86400, 0, 0, "", token.target, "");
+      expect(await lendingCircle.getResourceCount()).to.equal(2);
     });
   });
 
@@ -269,7 +459,7 @@ describe("LendingCircle", function () {
 
       // 1. Add a resource
       await lendingCircle.connect(owner).addResource(
-        "Test Book", 1, 5, stakeAmount, duration, penalty, reward, ""
+        "Test Book", 1, 5, stakeAmount, duration, penalty, reward, "", token.target, ""
       );
 
       // 2. Fund the reward pool as the owner
@@ -279,7 +469,7 @@ describe("LendingCircle", function () {
       // Owner approves contract
       await token.connect(owner).approve(lendingCircle.target, rewardPoolAmount);
       // Owner deposits into pool
-      await lendingCircle.connect(owner).depositToRewardPool(rewardPoolAmount);
+      await lendingCircle.connect(owner).depositToRewardPool(token.target, rewardPoolAmount);
 
       // 3. user1 borrows the resource
       await token.connect(owner).mint(user1.address, stakeAmount);
@@ -293,7 +483,7 @@ describe("LendingCircle", function () {
 
       // Check balances before
       const userBalanceBefore = await token.balanceOf(user1.address);
-      const poolBalanceBefore = await lendingCircle.rewardPool();
+      const poolBalanceBefore = await lendingCircle.rewardPool(token.target);
       expect(userBalanceBefore).to.equal(0);
 
       // User1 returns the resource
@@ -304,7 +494,7 @@ describe("LendingCircle", function () {
 
       // Check balances after
       const userBalanceAfter = await token.balanceOf(user1.address);
-      const poolBalanceAfter = await lendingCircle.rewardPool();
+      const poolBalanceAfter = await lendingCircle.rewardPool(token.target);
       const expectedRefund = stakeAmount + reward;
       expect(userBalanceAfter).to.equal(expectedRefund);
       expect(poolBalanceAfter).to.equal(poolBalanceBefore - reward);
@@ -324,7 +514,7 @@ describe("LendingCircle", function () {
 
       // Check balances before
       const userBalanceBefore = await token.balanceOf(user1.address);
-      const poolBalanceBefore = await lendingCircle.rewardPool();
+      const poolBalanceBefore = await lendingCircle.rewardPool(token.target);
 
       // Calculate expected penalty
       // 3 days late @ 10 tokens/day = 30 tokens
@@ -339,7 +529,7 @@ describe("LendingCircle", function () {
       
       // Check balances after
       const userBalanceAfter = await token.balanceOf(user1.address);
-      const poolBalanceAfter = await lendingCircle.rewardPool();
+      const poolBalanceAfter = await lendingCircle.rewardPool(token.target);
       
       expect(userBalanceAfter).to.equal(expectedRefund);
       // Penalty is added to the pool
@@ -357,7 +547,7 @@ describe("LendingCircle", function () {
       const veryLateDuration = 27 * 24 * 60 * 60; // 7 days + 20 days
       await time.increase(veryLateDuration);
 
-      const poolBalanceBefore = await lendingCircle.rewardPool();
+      const poolBalanceBefore = await lendingCircle.rewardPool(token.target);
 
       // Expected penalty is capped at the stake amount (100)
       const expectedPenalty = stakeAmount;
@@ -371,7 +561,7 @@ describe("LendingCircle", function () {
       
       // Check balances
       const userBalanceAfter = await token.balanceOf(user1.address);
-      const poolBalanceAfter = await lendingCircle.rewardPool();
+      const poolBalanceAfter = await lendingCircle.rewardPool(token.target);
 
       expect(userBalanceAfter).to.equal(0); // User gets nothing back
       // Pool only gains the 100 tokens from the stake
@@ -392,4 +582,2076 @@ describe("LendingCircle", function () {
       ).to.be.revertedWith("You are not borrowing this item");
     });
   });
-});
\ No newline at end of file
+
+  describe("extendBorrow", function () {
+    const resourceId = 1;
+    const duration = 7 * 24 * 60 * 60; // 7 days
+    const extension = 3 * 24 * 60 * 60; // 3 days
+    let stakeAmount, penalty, topUp;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("10", 18);
+      topUp = ethers.parseUnits("20", 18);
+
+      await lendingCircle.connect(owner).addResource(
+        "Test Book", 0, 1, stakeAmount, duration, penalty, 0, "", token.target, ""
+      );
+      await lendingCircle.connect(owner).setRenewalPolicy(resourceId, 2, extension, 0);
+
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(resourceId);
+    });
+
+    it("Should push back the deadline and emit BorrowExtended", async function () {
+      const before = await lendingCircle.activeBorrows(user1.address, resourceId);
+      const newDeadline = before.deadline + BigInt(extension);
+
+      await expect(lendingCircle.connect(user1).extendBorrow(resourceId))
+        .to.emit(lendingCircle, "BorrowExtended")
+        .withArgs(resourceId, user1.address, 0, newDeadline);
+
+      const after = await lendingCircle.activeBorrows(user1.address, resourceId);
+      expect(after.deadline).to.equal(newDeadline);
+      expect(after.renewals).to.equal(1);
+    });
+
+    it("Should not charge a penalty inside the extended period", async function () {
+      await lendingCircle.connect(user1).extendBorrow(resourceId);
+
+      // 9 days in: late under the original deadline, on time after extending
+      await time.increase(9 * 24 * 60 * 60);
+
+      await expect(
+        lendingCircle.connect(user1).returnResource(resourceId)
+      ).to.emit(lendingCircle, "ResourceReturned")
+       .withArgs(resourceId, user1.address, stakeAmount, 0);
+    });
+
+    it("Should pull the top-up stake and refund it on return", async function () {
+      await lendingCircle.connect(owner).setRenewalPolicy(resourceId, 2, extension, topUp);
+      await token.connect(owner).mint(user1.address, topUp);
+      await token.connect(user1).approve(lendingCircle.target, topUp);
+
+      await expect(lendingCircle.connect(user1).extendBorrow(resourceId))
+        .to.emit(lendingCircle, "BorrowExtended");
+
+      const record = await lendingCircle.activeBorrows(user1.address, resourceId);
+      expect(record.stakeDeposited).to.equal(stakeAmount + topUp);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+
+      await lendingCircle.connect(user1).returnResource(resourceId);
+      expect(await token.balanceOf(user1.address)).to.equal(stakeAmount + topUp);
+    });
+
+    it("Should REVERT once the renewal limit is reached", async function () {
+      await lendingCircle.connect(user1).extendBorrow(resourceId);
+      await lendingCircle.connect(user1).extendBorrow(resourceId);
+
+      await expect(
+        lendingCircle.connect(user1).extendBorrow(resourceId)
+      ).to.be.revertedWith("No renewals left for this borrow");
+    });
+
+    it("Should REVERT if the resource does not allow renewals", async function () {
+      await lendingCircle.connect(owner).setRenewalPolicy(resourceId, 0, 0, 0);
+
+      await expect(
+        lendingCircle.connect(user1).extendBorrow(resourceId)
+      ).to.be.revertedWith("No renewals left for this borrow");
+    });
+
+    it("Should REVERT after the deadline has passed", async function () {
+      await time.increase(duration + 1);
+
+      await expect(
+        lendingCircle.connect(user1).extendBorrow(resourceId)
+      ).to.be.revertedWith("Borrow is already overdue");
+    });
+
+    it("Should REVERT if the caller is not borrowing the item", async function () {
+      await expect(
+        lendingCircle.connect(user2).extendBorrow(resourceId)
+      ).to.be.revertedWith("You are not borrowing this item");
+    });
+  });
+
+  describe("setRenewalPolicy", function () {
+    beforeEach(async function () {
+      await lendingCircle.connect(owner).addResource("Test Book", 0, 1, 100, 86400, 0, 0, "", token.target, "");
+    });
+
+    it("Should store the policy and emit RenewalPolicyUpdated", async function () {
+      await expect(lendingCircle.connect(owner).setRenewalPolicy(1, 3, 3600, 10))
+        .to.emit(lendingCircle, "RenewalPolicyUpdated")
+        .withArgs(1, 3, 3600, 10);
+
+      const policy = await lendingCircle.renewalPolicies(1);
+      expect(policy.maxRenewals).to.equal(3);
+      expect(policy.extensionDuration).to.equal(3600);
+      expect(policy.extensionStake).to.equal(10);
+    });
+
+    it("Should REVERT if renewals are enabled with a zero extension", async function () {
+      await expect(
+        lendingCircle.connect(owner).setRenewalPolicy(1, 1, 0, 0)
+      ).to.be.revertedWith("Extension duration must be greater than zero");
+    });
+
+    it("Should REVERT if a non-owner sets the policy", async function () {
+      await expect(
+        lendingCircle.connect(user1).setRenewalPolicy(1, 1, 3600, 0)
+      ).to.be.revertedWith("Caller is not a curator or the lender");
+    });
+  });
+
+  describe("waitlist", function () {
+    const resourceId = 1;
+    const duration = 7 * 24 * 60 * 60;
+    let stakeAmount, user3;
+
+    beforeEach(async function () {
+      [, , , user3] = await ethers.getSigners();
+      stakeAmount = ethers.parseUnits("100", 18);
+
+      await lendingCircle.connect(owner).addResource(
+        "Single Book", 0, 1, stakeAmount, duration, 0, 0, "", token.target, ""
+      );
+
+      for (const user of [user1, user2, user3]) {
+        await token.connect(owner).mint(user.address, stakeAmount);
+        await token.connect(user).approve(lendingCircle.target, stakeAmount);
+      }
+
+      // user1 takes the only slot
+      await lendingCircle.connect(user1).borrowResource(resourceId);
+    });
+
+    it("Should list the full resource and let users join in order", async function () {
+      const fullResources = await lendingCircle.getFullResources();
+      expect(fullResources).to.have.lengthOf(1);
+      expect(fullResources[0]).to.equal(resourceId);
+
+      await expect(lendingCircle.connect(user2).joinWaitlist(resourceId))
+        .to.emit(lendingCircle, "WaitlistJoined")
+        .withArgs(resourceId, user2.address, 1);
+      await lendingCircle.connect(user3).joinWaitlist(resourceId);
+
+      expect(await lendingCircle.getWaitlistLength(resourceId)).to.equal(2);
+      expect(await lendingCircle.getWaitlistPosition(resourceId, user2.address)).to.equal(1);
+      expect(await lendingCircle.getWaitlistPosition(resourceId, user3.address)).to.equal(2);
+    });
+
+    it("Should move users up when someone ahead of them leaves", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+      await lendingCircle.connect(user3).joinWaitlist(resourceId);
+
+      await expect(lendingCircle.connect(user2).leaveWaitlist(resourceId))
+        .to.emit(lendingCircle, "WaitlistLeft")
+        .withArgs(resourceId, user2.address);
+
+      expect(await lendingCircle.getWaitlistLength(resourceId)).to.equal(1);
+      expect(await lendingCircle.getWaitlistPosition(resourceId, user2.address)).to.equal(0);
+      expect(await lendingCircle.getWaitlistPosition(resourceId, user3.address)).to.equal(1);
+    });
+
+    it("Should offer a freed slot to the first waiter only", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+      await lendingCircle.connect(user3).joinWaitlist(resourceId);
+
+      await expect(lendingCircle.connect(user1).returnResource(resourceId))
+        .to.emit(lendingCircle, "ClaimOffered");
+
+      expect(await lendingCircle.claimExpiry(resourceId, user2.address)).to.be.greaterThan(0);
+      expect(await lendingCircle.getWaitlistLength(resourceId)).to.equal(1);
+      expect(await lendingCircle.getReservedSlots(resourceId)).to.equal(1);
+      expect(await lendingCircle.getAvailableResources()).to.have.lengthOf(0);
+
+      // user3 cannot jump the queue
+      await expect(
+        lendingCircle.connect(user3).borrowResource(resourceId)
+      ).to.be.revertedWith("Resource at max capacity");
+
+      // user2 claims the slot
+      await expect(lendingCircle.connect(user2).borrowResource(resourceId))
+        .to.emit(lendingCircle, "ResourceBorrowed");
+      expect(await lendingCircle.claimExpiry(resourceId, user2.address)).to.equal(0);
+      expect(await lendingCircle.getReservedSlots(resourceId)).to.equal(0);
+    });
+
+    it("Should offer a slot freed by an emergency withdrawal to the first waiter", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+      await lendingCircle.connect(owner).pause();
+      await time.increase(await lendingCircle.EMERGENCY_DELAY());
+
+      await expect(lendingCircle.connect(user1).emergencyWithdraw(resourceId))
+        .to.emit(lendingCircle, "ClaimOffered")
+        .withArgs(resourceId, user2.address, anyValue);
+      expect(await lendingCircle.claimExpiry(resourceId, user2.address)).to.be.greaterThan(0);
+      expect(await lendingCircle.getReservedSlots(resourceId)).to.equal(1);
+    });
+
+    it("Should release the slot to anyone once the claim window passes", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+      await lendingCircle.connect(user1).returnResource(resourceId);
+
+      await time.increase(24 * 60 * 60 + 1);
+      expect(await lendingCircle.getReservedSlots(resourceId)).to.equal(0);
+
+      await expect(lendingCircle.connect(user3).borrowResource(resourceId))
+        .to.emit(lendingCircle, "ResourceBorrowed");
+    });
+
+    it("Should take a user off the waitlist when they borrow a lapsed slot", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+      await lendingCircle.connect(user3).joinWaitlist(resourceId);
+      await lendingCircle.connect(user1).returnResource(resourceId);
+      await time.increase(24 * 60 * 60 + 1);
+
+      // user2's claim lapsed, so user3 borrows without waiting for an offer
+      await expect(lendingCircle.connect(user3).borrowResource(resourceId))
+        .to.emit(lendingCircle, "WaitlistLeft")
+        .withArgs(resourceId, user3.address);
+      expect(await lendingCircle.getWaitlistPosition(resourceId, user3.address)).to.equal(0);
+      expect(await lendingCircle.getWaitlistLength(resourceId)).to.equal(0);
+
+      // Returning does not offer the slot back to user3
+      await expect(lendingCircle.connect(user3).returnResource(resourceId))
+        .to.not.emit(lendingCircle, "ClaimOffered");
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await expect(lendingCircle.connect(user1).borrowResource(resourceId))
+        .to.emit(lendingCircle, "ResourceBorrowed");
+    });
+
+    it("Should refuse renewals while others are waiting", async function () {
+      await lendingCircle.connect(owner).setRenewalPolicy(resourceId, 1, 3600, 0);
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+
+      await expect(
+        lendingCircle.connect(user1).extendBorrow(resourceId)
+      ).to.be.revertedWith("Others are waiting for this resource");
+
+      await lendingCircle.connect(user2).leaveWaitlist(resourceId);
+      await expect(lendingCircle.connect(user1).extendBorrow(resourceId))
+        .to.emit(lendingCircle, "BorrowExtended");
+    });
+
+    it("Should REVERT if the resource still has free slots", async function () {
+      await lendingCircle.connect(owner).addResource(
+        "Open Book", 1, 5, stakeAmount, duration, 0, 0, "", token.target, ""
+      );
+
+      await expect(
+        lendingCircle.connect(user2).joinWaitlist(2)
+      ).to.be.revertedWith("Resource is not at max capacity");
+    });
+
+    it("Should REVERT on invalid joins and leaves", async function () {
+      await expect(
+        lendingCircle.connect(user1).joinWaitlist(resourceId)
+      ).to.be.revertedWith("You are already borrowing this");
+
+      await lendingCircle.connect(user2).joinWaitlist(resourceId);
+      await expect(
+        lendingCircle.connect(user2).joinWaitlist(resourceId)
+      ).to.be.revertedWith("You are already on the waitlist");
+
+      await expect(
+        lendingCircle.connect(user3).leaveWaitlist(resourceId)
+      ).to.be.revertedWith("You are not on the waitlist");
+    });
+
+    it("Should let the owner change the claim window", async function () {
+      await expect(lendingCircle.connect(owner).setClaimWindow(3600))
+        .to.emit(lendingCircle, "ClaimWindowUpdated")
+        .withArgs(3600);
+      expect(await lendingCircle.claimWindow()).to.equal(3600);
+
+      await expect(
+        lendingCircle.connect(user1).setClaimWindow(60)
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+  });
+
+  describe("community lenders", function () {
+    const resourceId = 1;
+    const duration = 7 * 24 * 60 * 60;
+    let stakeAmount, penalty;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("10", 18);
+
+      await expect(lendingCircle.connect(owner).setLenderApproval(user1.address, true))
+        .to.emit(lendingCircle, "LenderApprovalChanged")
+        .withArgs(user1.address, true);
+
+      // user1 lists their own book
+      await lendingCircle.connect(user1).addResource(
+        "Member Book", 0, 1, stakeAmount, duration, penalty, 0, "", token.target, ""
+      );
+
+      await token.connect(owner).mint(user2.address, stakeAmount);
+      await token.connect(user2).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user2).borrowResource(resourceId);
+    });
+
+    it("Should store the member as the lender", async function () {
+      const resource = await lendingCircle.resources(resourceId);
+      expect(resource.lender).to.equal(user1.address);
+
+      const listings = await lendingCircle.getResourcesByLender(user1.address);
+      expect(listings).to.have.lengthOf(1);
+      expect(listings[0]).to.equal(resourceId);
+    });
+
+    it("Should page through a lender's listings, delisted ones included", async function () {
+      await lendingCircle.connect(owner).addResource("Curated Book", 0, 1, stakeAmount, duration, 0, 0, "", token.target, "");
+      for (const name of ["Member Drill", "Member Tent"]) {
+        await lendingCircle.connect(user1).addResource(name, 0, 1, stakeAmount, duration, 0, 0, "", token.target, "");
+      }
+      await lendingCircle.connect(user1).delistResource(4);
+
+      expect(await lendingCircle.getLenderResourceCount(user1.address)).to.equal(3);
+      expect(await lendingCircle.getResourcesByLenderPage(user1.address, 0, 2)).to.deep.equal([1n, 3n]);
+      expect(await lendingCircle.getResourcesByLenderPage(user1.address, 2, 2)).to.deep.equal([4n]);
+      expect(await lendingCircle.getResourcesByLenderPage(user1.address, 3, 2)).to.be.empty;
+      expect(await lendingCircle.getResourcesByLender(owner.address)).to.deep.equal([2n]);
+    });
+
+    it("Should split a late penalty between the lender and the pool", async function () {
+      // Just under 2 days late @ 10 tokens/day = 20 tokens, split 50/50
+      await time.increase(duration + 2 * 24 * 60 * 60 - 60);
+      const lenderShare = penalty;
+
+      await expect(lendingCircle.connect(user2).returnResource(resourceId))
+        .to.emit(lendingCircle, "LenderPaid")
+        .withArgs(resourceId, user1.address, lenderShare);
+
+      expect(await lendingCircle.lenderEarnings(user1.address, token.target)).to.equal(lenderShare);
+      expect(await lendingCircle.resourceEarnings(resourceId)).to.equal(lenderShare);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(penalty * 2n - lenderShare);
+    });
+
+    it("Should let the lender withdraw their earnings", async function () {
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user2).returnResource(resourceId);
+      const earnings = await lendingCircle.lenderEarnings(user1.address, token.target);
+
+      await expect(lendingCircle.connect(user1).withdrawEarnings(token.target))
+        .to.emit(lendingCircle, "EarningsWithdrawn")
+        .withArgs(user1.address, token.target, earnings);
+
+      expect(await token.balanceOf(user1.address)).to.equal(earnings);
+      expect(await lendingCircle.lenderEarnings(user1.address, token.target)).to.equal(0);
+
+      await expect(
+        lendingCircle.connect(user1).withdrawEarnings(token.target)
+      ).to.be.revertedWith("No earnings to withdraw");
+    });
+
+    it("Should follow the configured penalty share", async function () {
+      await expect(lendingCircle.connect(owner).setLenderPenaltyShare(10000))
+        .to.emit(lendingCircle, "LenderPenaltyShareUpdated")
+        .withArgs(10000);
+
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user2).returnResource(resourceId);
+
+      expect(await lendingCircle.lenderEarnings(user1.address, token.target)).to.equal(penalty);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(0);
+
+      await expect(
+        lendingCircle.connect(owner).setLenderPenaltyShare(10001)
+      ).to.be.revertedWith("Share cannot exceed 100%");
+    });
+
+    it("Should let the lender delist their own item but not others'", async function () {
+      await expect(lendingCircle.connect(user1).delistResource(resourceId))
+        .to.emit(lendingCircle, "ResourceStatusChanged")
+        .withArgs(resourceId, false);
+
+      await lendingCircle.connect(owner).addResource(
+        "Owner Book", 0, 1, stakeAmount, duration, 0, 0, "", token.target, ""
+      );
+      await expect(
+        lendingCircle.connect(user1).delistResource(2)
+      ).to.be.revertedWith("Caller is not a curator or the lender");
+    });
+
+    it("Should stop a revoked member from listing", async function () {
+      await lendingCircle.connect(owner).setLenderApproval(user1.address, false);
+
+      await expect(
+        lendingCircle.connect(user1).addResource("Another Book", 0, 1, 100, 86400, 0, 0, "", token.target, "")
+      ).to.be.revertedWith("Caller is not an approved lender");
+    });
+  });
+
+  describe("borrower reputation", function () {
+    const resourceId = 1;
+    const duration = 7 * 24 * 60 * 60;
+    let stakeAmount, penalty, reward;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("10", 18);
+      reward = ethers.parseUnits("4", 18);
+
+      await lendingCircle.connect(owner).addResource(
+        "Test Book", 1, 5, stakeAmount, duration, penalty, reward, "", token.target, ""
+      );
+
+      const rewardPoolAmount = ethers.parseUnits("1000", 18);
+      await token.connect(owner).mint(owner.address, rewardPoolAmount);
+      await token.connect(owner).approve(lendingCircle.target, rewardPoolAmount);
+      await lendingCircle.connect(owner).depositToRewardPool(token.target, rewardPoolAmount);
+
+      await token.connect(owner).mint(user1.address, stakeAmount * 10n);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount * 10n);
+
+      // 2+ on-time returns: 10% off stake; 3+: 25% off stake and 50% more reward
+      await expect(
+        lendingCircle.connect(owner).setReputationTiers([2, 3], [1000, 2500], [0, 5000])
+      ).to.emit(lendingCircle, "ReputationTiersUpdated").withArgs(2);
+    });
+
+    async function borrowAndReturn(lateBy) {
+      await lendingCircle.connect(user1).borrowResource(resourceId);
+      if (lateBy) {
+        await time.increase(duration + lateBy);
+      }
+      await lendingCircle.connect(user1).returnResource(resourceId);
+    }
+
+    it("Should track on-time returns, late returns and penalties", async function () {
+      await borrowAndReturn(0);
+      await borrowAndReturn(0);
+      await borrowAndReturn(60); // 1 day late
+
+      const [profile, tier] = await lendingCircle.getBorrowerProfile(user1.address);
+      expect(profile.onTimeReturns).to.equal(2);
+      expect(profile.lateReturns).to.equal(1);
+      expect(await lendingCircle.getPenaltiesPaid(user1.address, token.target)).to.equal(penalty);
+      // The late return reset the streak
+      expect(profile.currentStreak).to.equal(0);
+      expect(tier).to.equal(0);
+    });
+
+    it("Should lower the stake once a tier is reached", async function () {
+      await borrowAndReturn(0);
+      await borrowAndReturn(0);
+
+      const [profile, tier, stakeDiscount] = await lendingCircle.getBorrowerProfile(user1.address);
+      expect(profile.currentStreak).to.equal(2);
+      expect(tier).to.equal(1);
+      expect(stakeDiscount).to.equal(1000);
+
+      const discountedStake = stakeAmount - stakeAmount / 10n;
+      expect(await lendingCircle.getRequiredStake(user1.address, resourceId)).to.equal(discountedStake);
+
+      await expect(lendingCircle.connect(user1).borrowResource(resourceId))
+        .to.emit(lendingCircle, "ResourceBorrowed")
+        .withArgs(resourceId, user1.address, discountedStake, anyValue);
+    });
+
+    it("Should raise the on-time reward in a higher tier", async function () {
+      await borrowAndReturn(0);
+      await borrowAndReturn(0);
+      await borrowAndReturn(0);
+
+      const discountedStake = stakeAmount - stakeAmount / 4n;
+      const boostedReward = reward + reward / 2n;
+
+      await lendingCircle.connect(user1).borrowResource(resourceId);
+      await expect(lendingCircle.connect(user1).returnResource(resourceId))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(resourceId, user1.address, discountedStake + boostedReward, 0);
+    });
+
+    it("Should REVERT on badly formed tiers", async function () {
+      await expect(
+        lendingCircle.connect(owner).setReputationTiers([3, 2], [0, 0], [0, 0])
+      ).to.be.revertedWith("Tiers must be sorted by streak");
+      await expect(
+        lendingCircle.connect(owner).setReputationTiers([1], [10000], [0])
+      ).to.be.revertedWith("Discount must be below 100%");
+      await expect(
+        lendingCircle.connect(owner).setReputationTiers([1], [0], [])
+      ).to.be.revertedWith("Tier arrays must have the same length");
+      await expect(
+        lendingCircle.connect(user1).setReputationTiers([], [], [])
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+  });
+
+  describe("damage disputes", function () {
+    const resourceId = 1;
+    const duration = 7 * 24 * 60 * 60;
+    const disputeWindow = 2 * 24 * 60 * 60;
+    const disputeTimeout = 5 * 24 * 60 * 60;
+    let stakeAmount, arbiter;
+
+    beforeEach(async function () {
+      [, , , arbiter] = await ethers.getSigners();
+      stakeAmount = ethers.parseUnits("100", 18);
+
+      await lendingCircle.connect(owner).setArbiter(arbiter.address);
+      await expect(
+        lendingCircle.connect(owner).setDisputeSettings(disputeWindow, disputeTimeout)
+      ).to.emit(lendingCircle, "DisputeSettingsUpdated")
+       .withArgs(disputeWindow, disputeTimeout);
+
+      // user1 lends a textbook, user2 borrows and returns it
+      await lendingCircle.connect(owner).setLenderApproval(user1.address, true);
+      await lendingCircle.connect(user1).addResource(
+        "Textbook", 0, 1, stakeAmount, duration, 0, 0, "", token.target, ""
+      );
+
+      await token.connect(owner).mint(user2.address, stakeAmount);
+      await token.connect(user2).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user2).borrowResource(resourceId);
+      await expect(lendingCircle.connect(user2).returnResource(resourceId))
+        .to.emit(lendingCircle, "RefundEscrowed");
+    });
+
+    it("Should hold a PHYSICAL refund in escrow", async function () {
+      const escrow = await lendingCircle.escrows(user2.address, resourceId);
+      expect(escrow.amount).to.equal(stakeAmount);
+      expect(await token.balanceOf(user2.address)).to.equal(0);
+
+      await expect(
+        lendingCircle.releaseEscrow(user2.address, resourceId)
+      ).to.be.revertedWith("Dispute window is still open");
+    });
+
+    it("Should release the refund after the dispute window", async function () {
+      await time.increase(disputeWindow + 1);
+
+      await expect(lendingCircle.releaseEscrow(user2.address, resourceId))
+        .to.emit(lendingCircle, "EscrowReleased")
+        .withArgs(resourceId, user2.address, stakeAmount);
+      expect(await token.balanceOf(user2.address)).to.equal(stakeAmount);
+    });
+
+    it("Should let the arbiter split a flagged refund", async function () {
+      const damage = ethers.parseUnits("30", 18);
+
+      await expect(
+        lendingCircle.connect(user1).flagDamage(user2.address, resourceId, "ipfs://photos")
+      ).to.emit(lendingCircle, "DamageFlagged")
+       .withArgs(resourceId, user2.address, user1.address, "ipfs://photos");
+
+      // The window closing does not release a disputed refund
+      await time.increase(disputeWindow + 1);
+      await expect(
+        lendingCircle.releaseEscrow(user2.address, resourceId)
+      ).to.be.revertedWith("Dispute is still open");
+
+      await expect(
+        lendingCircle.connect(owner).resolveDispute(user2.address, resourceId, damage)
+      ).to.be.revertedWith("Caller is not the arbiter");
+
+      await expect(
+        lendingCircle.connect(arbiter).resolveDispute(user2.address, resourceId, damage)
+      ).to.emit(lendingCircle, "DisputeResolved")
+       .withArgs(resourceId, user2.address, damage, stakeAmount - damage);
+
+      expect(await token.balanceOf(user2.address)).to.equal(stakeAmount - damage);
+      expect(await lendingCircle.lenderEarnings(user1.address, token.target)).to.equal(damage);
+    });
+
+    it("Should auto-release an unsettled dispute after the timeout", async function () {
+      await lendingCircle.connect(user1).flagDamage(user2.address, resourceId, "ipfs://photos");
+      await time.increase(disputeTimeout + 1);
+
+      await expect(lendingCircle.connect(user2).releaseEscrow(user2.address, resourceId))
+        .to.emit(lendingCircle, "EscrowReleased")
+        .withArgs(resourceId, user2.address, stakeAmount);
+    });
+
+    it("Should REVERT on invalid damage flags", async function () {
+      await expect(
+        lendingCircle.connect(user2).flagDamage(user2.address, resourceId, "ipfs://photos")
+      ).to.be.revertedWith("Caller is not a curator or the lender");
+      await expect(
+        lendingCircle.connect(user1).flagDamage(user2.address, resourceId, "")
+      ).to.be.revertedWith("Evidence cannot be empty");
+
+      await time.increase(disputeWindow + 1);
+      await expect(
+        lendingCircle.connect(user1).flagDamage(user2.address, resourceId, "ipfs://photos")
+      ).to.be.revertedWith("Dispute window has closed");
+    });
+
+    it("Should block borrowing again while a refund is in escrow", async function () {
+      await token.connect(owner).mint(user2.address, stakeAmount);
+      await token.connect(user2).approve(lendingCircle.target, stakeAmount);
+
+      await expect(
+        lendingCircle.connect(user2).borrowResource(resourceId)
+      ).to.be.revertedWith("Your last return is still in escrow");
+    });
+
+    it("Should refund DIGITAL items straight away", async function () {
+      await lendingCircle.connect(owner).addResource(
+        "E-book", 1, 5, stakeAmount, duration, 0, 0, "", token.target, ""
+      );
+      await token.connect(owner).mint(user2.address, stakeAmount);
+      await token.connect(user2).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user2).borrowResource(2);
+
+      await expect(lendingCircle.connect(user2).returnResource(2))
+        .to.not.emit(lendingCircle, "RefundEscrowed");
+      expect(await token.balanceOf(user2.address)).to.equal(stakeAmount);
+    });
+  });
+
+  describe("stake tokens", function () {
+    let otherToken, stakeAmount;
+
+    beforeEach(async function () {
+      const Token = await ethers.getContractFactory("MockStakeToken");
+      otherToken = await Token.deploy();
+      await otherToken.waitForDeployment();
+      stakeAmount = ethers.parseUnits("100", 18);
+    });
+
+    it("Should allow the constructor token by default", async function () {
+      expect(await lendingCircle.allowedStakeTokens(token.target)).to.be.true;
+      expect(await lendingCircle.getStakeTokens()).to.deep.equal([token.target]);
+    });
+
+    it("Should REVERT when listing with a token that is not allowed", async function () {
+      await expect(
+        lendingCircle.connect(owner).addResource("Book", 1, 5, stakeAmount, 86400, 0, 0, "", otherToken.target, "")
+      ).to.be.revertedWith("Stake token is not allowed");
+    });
+
+    it("Should let the owner manage the allowlist", async function () {
+      await expect(lendingCircle.connect(owner).setStakeTokenAllowed(otherToken.target, true))
+        .to.emit(lendingCircle, "StakeTokenAllowed")
+        .withArgs(otherToken.target, true);
+      expect(await lendingCircle.getStakeTokens()).to.deep.equal([token.target, otherToken.target]);
+
+      await lendingCircle.connect(owner).setStakeTokenAllowed(otherToken.target, false);
+      await lendingCircle.connect(owner).setStakeTokenAllowed(otherToken.target, true);
+      // Re-allowing does not list the token twice
+      expect(await lendingCircle.getStakeTokens()).to.have.lengthOf(2);
+
+      await expect(
+        lendingCircle.connect(user1).setStakeTokenAllowed(otherToken.target, true)
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+
+    it("Should take stakes and pay rewards in each resource's own token", async function () {
+      const reward = ethers.parseUnits("5", 18);
+      const poolAmount = ethers.parseUnits("50", 18);
+      await lendingCircle.connect(owner).setStakeTokenAllowed(otherToken.target, true);
+      await lendingCircle.connect(owner).addResource("Book", 1, 5, stakeAmount, 86400, 0, reward, "", token.target, "");
+      await lendingCircle.connect(owner).addResource("Drill", 0, 1, stakeAmount, 86400, 0, reward, "", otherToken.target, "");
+
+      // Only the second token's pool is funded
+      await otherToken.connect(owner).mint(owner.address, poolAmount);
+      await otherToken.connect(owner).approve(lendingCircle.target, poolAmount);
+      await lendingCircle.connect(owner).depositToRewardPool(otherToken.target, poolAmount);
+      expect(await lendingCircle.rewardPool(otherToken.target)).to.equal(poolAmount);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(0);
+
+      await otherToken.connect(owner).mint(user1.address, stakeAmount);
+      await otherToken.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(2);
+      expect(await otherToken.balanceOf(lendingCircle.target)).to.equal(poolAmount + stakeAmount);
+
+      await lendingCircle.connect(user1).returnResource(2);
+      expect(await otherToken.balanceOf(user1.address)).to.equal(stakeAmount + reward);
+      expect(await lendingCircle.rewardPool(otherToken.target)).to.equal(poolAmount - reward);
+
+      // The first token's pool is empty, so its borrowers get no reward
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(1);
+      await expect(lendingCircle.connect(user1).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user1.address, stakeAmount, 0);
+    });
+
+    it("Should REVERT when depositing a token that is not allowed", async function () {
+      await expect(
+        lendingCircle.connect(owner).depositToRewardPool(otherToken.target, 1)
+      ).to.be.revertedWith("Stake token is not allowed");
+    });
+  });
+
+  describe("permits", function () {
+    let stakeAmount, deadline;
+
+    // Signs an EIP-2612 permit letting the LendingCircle spend 'value' of the owner's tokens
+    async function signPermit(signer, value) {
+      const nonce = await token.nonces(signer.address);
+      const { chainId } = await ethers.provider.getNetwork();
+      const signature = await signer.signTypedData(
+        { name: await token.name(), version: "1", chainId, verifyingContract: token.target },
+        {
+          Permit: [
+            { name: "owner", type: "address" },
+            { name: "spender", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+          ],
+        },
+        { owner: signer.address, spender: lendingCircle.target, value, nonce, deadline }
+      );
+      return ethers.Signature.from(signature);
+    }
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      deadline = (await time.latest()) + 3600;
+      await lendingCircle.connect(owner).addResource("Book", 0, 1, stakeAmount, 86400, 0, 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+    });
+
+    it("Should borrow with a permit instead of an approval", async function () {
+      const { v, r, s } = await signPermit(user1, stakeAmount);
+
+      await expect(lendingCircle.connect(user1).borrowResourceWithPermit(1, deadline, v, r, s))
+        .to.emit(lendingCircle, "ResourceBorrowed")
+        .withArgs(1, user1.address, stakeAmount, anyValue);
+      expect(await token.balanceOf(lendingCircle.target)).to.equal(stakeAmount);
+      expect(await token.allowance(user1.address, lendingCircle.target)).to.equal(0);
+    });
+
+    it("Should still borrow if the permit was already submitted by someone else", async function () {
+      const { v, r, s } = await signPermit(user1, stakeAmount);
+      await token.connect(user2).permit(user1.address, lendingCircle.target, stakeAmount, deadline, v, r, s);
+
+      await lendingCircle.connect(user1).borrowResourceWithPermit(1, deadline, v, r, s);
+      expect((await lendingCircle.activeBorrows(user1.address, 1)).isActive).to.be.true;
+    });
+
+    it("Should REVERT when the permit is for the wrong amount", async function () {
+      const { v, r, s } = await signPermit(user1, stakeAmount - 1n);
+
+      await expect(
+        lendingCircle.connect(user1).borrowResourceWithPermit(1, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+
+    it("Should deposit to the reward pool with a permit", async function () {
+      const amount = ethers.parseUnits("50", 18);
+      await token.connect(owner).mint(owner.address, amount);
+      const { v, r, s } = await signPermit(owner, amount);
+
+      await lendingCircle.connect(owner).depositToRewardPoolWithPermit(token.target, amount, deadline, v, r, s);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(amount);
+
+      // The permit is for the owner's tokens, so it cannot fund user1's deposit
+      await expect(
+        lendingCircle.connect(user1).depositToRewardPoolWithPermit(token.target, amount, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(token, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("roles and ownership", function () {
+    let CURATOR_ROLE, TREASURER_ROLE, ADMIN_ROLE, PAUSER_ROLE;
+
+    beforeEach(async function () {
+      ADMIN_ROLE = await lendingCircle.ADMIN_ROLE();
+      CURATOR_ROLE = await lendingCircle.CURATOR_ROLE();
+      TREASURER_ROLE = await lendingCircle.TREASURER_ROLE();
+      PAUSER_ROLE = await lendingCircle.PAUSER_ROLE();
+    });
+
+    it("Should give the deployer every role", async function () {
+      for (const role of ["ADMIN_ROLE", "CURATOR_ROLE", "TREASURER_ROLE", "PAUSER_ROLE"]) {
+        expect(await lendingCircle.hasRole(await lendingCircle[role](), owner.address)).to.be.true;
+      }
+      expect(await lendingCircle.hasRole(CURATOR_ROLE, user1.address)).to.be.false;
+    });
+
+    it("Should let an admin grant and revoke the curator role", async function () {
+      await expect(lendingCircle.connect(owner).grantRole(CURATOR_ROLE, user1.address))
+        .to.emit(lendingCircle, "RoleGranted")
+        .withArgs(CURATOR_ROLE, user1.address, owner.address);
+      await lendingCircle.connect(user1).addResource("Book", 1, 5, 100, 86400, 0, 0, "", token.target, "");
+
+      await expect(lendingCircle.connect(owner).revokeRole(CURATOR_ROLE, user1.address))
+        .to.emit(lendingCircle, "RoleRevoked")
+        .withArgs(CURATOR_ROLE, user1.address, owner.address);
+      await expect(
+        lendingCircle.connect(user1).addResource("Book", 1, 5, 100, 86400, 0, 0, "", token.target, "")
+      ).to.be.revertedWith("Caller is not an approved lender");
+    });
+
+    it("Should only let the owner appoint admins", async function () {
+      await expect(
+        lendingCircle.connect(user1).grantRole(CURATOR_ROLE, user1.address)
+      ).to.be.revertedWith("Caller is missing the required role");
+
+      await lendingCircle.connect(owner).grantRole(ADMIN_ROLE, user1.address);
+      await lendingCircle.connect(user1).grantRole(TREASURER_ROLE, user2.address);
+      expect(await lendingCircle.hasRole(TREASURER_ROLE, user2.address)).to.be.true;
+
+      await expect(
+        lendingCircle.connect(user1).grantRole(ADMIN_ROLE, user2.address)
+      ).to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("Should keep the treasury separate from curation", async function () {
+      const amount = ethers.parseUnits("10", 18);
+      await lendingCircle.connect(owner).grantRole(TREASURER_ROLE, user1.address);
+      await token.connect(owner).mint(user1.address, amount);
+      await token.connect(user1).approve(lendingCircle.target, amount);
+
+      await lendingCircle.connect(user1).depositToRewardPool(token.target, amount);
+      // Once shares exist, even a treasurer gets their own deposit out by redeeming it
+      await expect(
+        lendingCircle.connect(user1).withdrawFromRewardPool(token.target, amount)
+      ).to.be.revertedWith("Insufficient treasury shares");
+      await lendingCircle.connect(user1).redeemPoolShares(token.target, amount);
+      expect(await token.balanceOf(user1.address)).to.equal(amount);
+
+      await expect(
+        lendingCircle.connect(user1).addResource("Book", 1, 5, 100, 86400, 0, 0, "", token.target, "")
+      ).to.be.revertedWith("Caller is not an approved lender");
+    });
+
+    it("Should hand over ownership in two steps", async function () {
+      await expect(lendingCircle.connect(owner).transferOwnership(user1.address))
+        .to.emit(lendingCircle, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await lendingCircle.owner()).to.equal(owner.address);
+      expect(await lendingCircle.pendingOwner()).to.equal(user1.address);
+
+      await expect(
+        lendingCircle.connect(user2).acceptOwnership()
+      ).to.be.revertedWith("Caller is not the pending owner");
+
+      await expect(lendingCircle.connect(user1).acceptOwnership())
+        .to.emit(lendingCircle, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await lendingCircle.owner()).to.equal(user1.address);
+      expect(await lendingCircle.pendingOwner()).to.equal(ethers.ZeroAddress);
+
+      await lendingCircle.connect(user1).grantRole(ADMIN_ROLE, user1.address);
+      await expect(
+        lendingCircle.connect(owner).transferOwnership(owner.address)
+      ).to.be.revertedWith("Caller is not the owner");
+    });
+
+    it("Should move the previous owner's roles and arbiter seat to the new owner", async function () {
+      await lendingCircle.connect(owner).grantRole(CURATOR_ROLE, user2.address);
+      await lendingCircle.connect(owner).transferOwnership(user1.address);
+
+      await expect(lendingCircle.connect(user1).acceptOwnership())
+        .to.emit(lendingCircle, "RoleRevoked")
+        .withArgs(ADMIN_ROLE, owner.address, user1.address)
+        .and.to.emit(lendingCircle, "ArbiterChanged")
+        .withArgs(user1.address);
+
+      for (const role of [ADMIN_ROLE, CURATOR_ROLE, TREASURER_ROLE, PAUSER_ROLE]) {
+        expect(await lendingCircle.hasRole(role, owner.address)).to.be.false;
+        expect(await lendingCircle.hasRole(role, user1.address)).to.be.true;
+      }
+      expect(await lendingCircle.arbiter()).to.equal(user1.address);
+      // Roles held by anyone else are left alone
+      expect(await lendingCircle.hasRole(CURATOR_ROLE, user2.address)).to.be.true;
+
+      await expect(
+        lendingCircle.connect(owner).pause()
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+  });
+
+  describe("pause and emergency mode", function () {
+    let stakeAmount;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      await lendingCircle.connect(owner).addResource("Book", 0, 1, stakeAmount, 86400, ethers.parseUnits("5", 18), 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount * 2n);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount * 2n);
+    });
+
+    it("Should block borrows, listings and deposits while paused", async function () {
+      await expect(lendingCircle.connect(owner).pause())
+        .to.emit(lendingCircle, "Paused")
+        .withArgs(owner.address);
+
+      await expect(lendingCircle.connect(user1).borrowResource(1)).to.be.revertedWith("Circle is paused");
+      await expect(
+        lendingCircle.connect(owner).addResource("Book 2", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, "")
+      ).to.be.revertedWith("Circle is paused");
+      await expect(
+        lendingCircle.connect(owner).depositToRewardPool(token.target, 1)
+      ).to.be.revertedWith("Circle is paused");
+
+      await expect(lendingCircle.connect(owner).unpause())
+        .to.emit(lendingCircle, "Unpaused")
+        .withArgs(owner.address);
+      await lendingCircle.connect(user1).borrowResource(1);
+    });
+
+    it("Should still allow returns while paused", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await lendingCircle.connect(owner).pause();
+
+      await expect(lendingCircle.connect(user1).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user1.address, stakeAmount, 0);
+    });
+
+    it("Should only let pausers pause", async function () {
+      await expect(lendingCircle.connect(user1).pause()).to.be.revertedWith("Caller is missing the required role");
+      await expect(lendingCircle.connect(owner).unpause()).to.be.revertedWith("Circle is not paused");
+
+      await lendingCircle.connect(owner).grantRole(await lendingCircle.PAUSER_ROLE(), user1.address);
+      await lendingCircle.connect(user1).pause();
+      await expect(lendingCircle.connect(user1).pause()).to.be.revertedWith("Circle is already paused");
+    });
+
+    it("Should refund the full stake once emergency mode starts", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await lendingCircle.connect(owner).pause();
+
+      await expect(
+        lendingCircle.connect(user1).emergencyWithdraw(1)
+      ).to.be.revertedWith("Emergency mode is not active");
+
+      // Long overdue by now, but no penalty applies
+      await time.increase(await lendingCircle.EMERGENCY_DELAY());
+      expect(await lendingCircle.emergencyMode()).to.be.true;
+
+      await expect(lendingCircle.connect(user1).emergencyWithdraw(1))
+        .to.emit(lendingCircle, "EmergencyWithdrawal")
+        .withArgs(1, user1.address, stakeAmount);
+      expect(await token.balanceOf(user1.address)).to.equal(stakeAmount * 2n);
+      expect((await lendingCircle.activeBorrows(user1.address, 1)).isActive).to.be.false;
+      expect((await lendingCircle.resources(1)).currentBorrowerCount).to.equal(0);
+
+      const [profile] = await lendingCircle.getBorrowerProfile(user1.address);
+      expect(profile.lateReturns).to.equal(0);
+
+      await expect(
+        lendingCircle.connect(user1).emergencyWithdraw(1)
+      ).to.be.revertedWith("You are not borrowing this item");
+    });
+
+    it("Should end emergency mode when unpaused", async function () {
+      await lendingCircle.connect(owner).pause();
+      await time.increase(await lendingCircle.EMERGENCY_DELAY());
+      await lendingCircle.connect(owner).unpause();
+
+      expect(await lendingCircle.emergencyMode()).to.be.false;
+    });
+  });
+
+  describe("paged catalog", function () {
+    const PHYSICAL = 0;
+    const DIGITAL = 1;
+    let stakeAmount;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("10", 18);
+      // IDs 1-5 alternate DIGITAL, PHYSICAL, DIGITAL, ...
+      for (let i = 1; i <= 5; i++) {
+        const type = i % 2 === 1 ? DIGITAL : PHYSICAL;
+        await lendingCircle.connect(owner).addResource(`Item ${i}`, type, 1, stakeAmount, 86400, 0, 0, "", token.target, "");
+      }
+      await token.connect(owner).mint(user1.address, stakeAmount * 5n);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount * 5n);
+    });
+
+    it("Should page through available resources with a cursor", async function () {
+      let [ids, cursor] = await lendingCircle.getAvailableResourcesPage(0, 2, false, 0);
+      expect(ids).to.deep.equal([1n, 2n]);
+      expect(cursor).to.equal(2);
+
+      [ids, cursor] = await lendingCircle.getAvailableResourcesPage(cursor, 2, false, 0);
+      expect(ids).to.deep.equal([3n, 4n]);
+
+      [ids, cursor] = await lendingCircle.getAvailableResourcesPage(cursor, 2, false, 0);
+      expect(ids).to.deep.equal([5n]);
+      expect(cursor).to.equal(0);
+    });
+
+    it("Should filter pages by type", async function () {
+      const [ids, cursor] = await lendingCircle.getAvailableResourcesPage(0, 10, true, PHYSICAL);
+      expect(ids).to.deep.equal([2n, 4n]);
+      expect(cursor).to.equal(0);
+
+      // A short page still hands back a cursor when it stopped early
+      const [firstDigital, next] = await lendingCircle.getAvailableResourcesPage(0, 1, true, DIGITAL);
+      expect(firstDigital).to.deep.equal([1n]);
+      expect(next).to.equal(1);
+    });
+
+    it("Should read no more index entries than the limit, even when few match", async function () {
+      // ID 1 is DIGITAL, so a one-entry page of PHYSICAL resources is empty
+      let [ids, cursor] = await lendingCircle.getAvailableResourcesPage(0, 1, true, PHYSICAL);
+      expect(ids).to.be.empty;
+      expect(cursor).to.equal(1);
+
+      [ids, cursor] = await lendingCircle.getAvailableResourcesPage(cursor, 3, true, PHYSICAL);
+      expect(ids).to.deep.equal([2n, 4n]);
+      expect(cursor).to.equal(4);
+
+      [ids, cursor] = await lendingCircle.getAvailableResourcesPage(cursor, 3, true, PHYSICAL);
+      expect(ids).to.be.empty;
+      expect(cursor).to.equal(0);
+
+      // Nothing is full, so a page of full resources reads its entries and finds none
+      [ids, cursor] = await lendingCircle.getFullResourcesPage(0, 2, false, 0);
+      expect(ids).to.be.empty;
+      expect(cursor).to.equal(2);
+    });
+
+    it("Should move resources between the available and full indexes", async function () {
+      await lendingCircle.connect(user1).borrowResource(2);
+      await lendingCircle.connect(owner).delistResource(3);
+
+      expect(await lendingCircle.getAvailableResourceCount()).to.equal(3);
+      expect([...await lendingCircle.getAvailableResources()]).to.have.members([1n, 4n, 5n]);
+      const [full] = await lendingCircle.getFullResourcesPage(0, 10, false, 0);
+      expect(full).to.deep.equal([2n]);
+
+      await lendingCircle.connect(user1).returnResource(2);
+      await lendingCircle.connect(owner).relistResource(3);
+      expect([...await lendingCircle.getAvailableResources()]).to.have.members([1n, 2n, 3n, 4n, 5n]);
+      expect(await lendingCircle.getFullResources()).to.be.empty;
+    });
+
+    it("Should track each borrower's active borrows", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await lendingCircle.connect(user1).borrowResource(3);
+      await lendingCircle.connect(user1).borrowResource(4);
+
+      expect(await lendingCircle.getBorrowedResourceCount(user1.address)).to.equal(3);
+      expect(await lendingCircle.getBorrowedResourcesPage(user1.address, 1, 5)).to.deep.equal([3n, 4n]);
+      expect(await lendingCircle.getBorrowedResourcesPage(user1.address, 3, 5)).to.be.empty;
+
+      await lendingCircle.connect(user1).returnResource(1);
+      expect([...await lendingCircle.connect(user1).getMyBorrowedResources()]).to.have.members([3n, 4n]);
+      expect(await lendingCircle.getBorrowedResourceCount(user2.address)).to.equal(0);
+    });
+  });
+
+  describe("previewReturn", function () {
+    let stakeAmount, penalty, reward, duration;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("5", 18);
+      reward = ethers.parseUnits("2", 18);
+      duration = 7 * 24 * 60 * 60;
+      await lendingCircle.connect(owner).addResource("Book", 1, 5, stakeAmount, duration, penalty, reward, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(1);
+    });
+
+    it("Should show the time left and no reward when the pool could not back it", async function () {
+      await time.increase(60 * 60);
+      const borrow = await lendingCircle.activeBorrows(user1.address, 1);
+      const preview = await lendingCircle.previewReturn(user1.address, 1);
+
+      expect(preview.deadline).to.equal(borrow.deadline);
+      expect(preview.secondsRemaining).to.equal(borrow.deadline - BigInt(await time.latest()));
+      expect(preview.secondsOverdue).to.equal(0);
+      expect(preview.penalty).to.equal(0);
+      expect(preview.reward).to.equal(0);
+      expect(preview.refundAmount).to.equal(stakeAmount);
+    });
+
+    it("Should include the reward reserved at borrow time", async function () {
+      await token.connect(owner).mint(owner.address, reward);
+      await token.connect(owner).approve(lendingCircle.target, reward);
+      await lendingCircle.connect(owner).depositToRewardPool(token.target, reward);
+      await token.connect(owner).mint(user2.address, stakeAmount);
+      await token.connect(user2).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user2).borrowResource(1);
+
+      const preview = await lendingCircle.previewReturn(user2.address, 1);
+      expect(preview.reward).to.equal(reward);
+      expect(preview.refundAmount).to.equal(stakeAmount + reward);
+    });
+
+    it("Should project the penalty that returnResource then charges", async function () {
+      await time.increase(duration + 2 * 24 * 60 * 60 - 60);
+      const preview = await lendingCircle.previewReturn(user1.address, 1);
+
+      expect(preview.secondsRemaining).to.equal(0);
+      expect(preview.secondsOverdue).to.be.greaterThan(0);
+      expect(preview.penalty).to.equal(penalty * 2n);
+      expect(preview.reward).to.equal(0);
+
+      // A view runs against the latest block, the return against the next
+      // one, a second later, which is still in the same penalty day
+      await expect(lendingCircle.connect(user1).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user1.address, preview.refundAmount, preview.penalty);
+    });
+
+    it("Should REVERT when there is no active borrow", async function () {
+      await expect(
+        lendingCircle.previewReturn(user2.address, 1)
+      ).to.be.revertedWith("No active borrow for this resource");
+    });
+  });
+
+  describe("liquidate", function () {
+    let stakeAmount, penalty, duration, daysToForfeit;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("10", 18);
+      duration = 7 * 24 * 60 * 60;
+      daysToForfeit = 10;
+      await lendingCircle.connect(owner).addResource("Book", 1, 1, stakeAmount, duration, penalty, 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(1);
+    });
+
+    it("Should REVERT while the penalty is below the stake", async function () {
+      await time.increase(duration + (daysToForfeit - 1) * 24 * 60 * 60 - 60);
+      await expect(
+        lendingCircle.connect(user2).liquidate(user1.address, 1)
+      ).to.be.revertedWith("Penalty has not reached its limit yet");
+    });
+
+    it("Should close the borrow, pay the keeper and move the rest to the pool", async function () {
+      await time.increase(duration + daysToForfeit * 24 * 60 * 60);
+      const bounty = (stakeAmount * 200n) / 10000n;
+
+      await expect(lendingCircle.connect(user2).liquidate(user1.address, 1))
+        .to.emit(lendingCircle, "BorrowLiquidated")
+        .withArgs(1, user1.address, user2.address, stakeAmount, bounty);
+
+      expect(await token.balanceOf(user2.address)).to.equal(bounty);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(stakeAmount - bounty);
+      expect((await lendingCircle.activeBorrows(user1.address, 1)).isActive).to.be.false;
+      expect((await lendingCircle.resources(1)).currentBorrowerCount).to.equal(0);
+      expect([...await lendingCircle.getAvailableResources()]).to.have.members([1n]);
+
+      const [profile] = await lendingCircle.getBorrowerProfile(user1.address);
+      expect(profile.lateReturns).to.equal(1);
+      expect(await lendingCircle.getPenaltiesPaid(user1.address, token.target)).to.equal(stakeAmount);
+    });
+
+    it("Should share the forfeited stake with a member lender", async function () {
+      await lendingCircle.connect(owner).setLenderApproval(user2.address, true);
+      await lendingCircle.connect(user2).addResource("Drill", 1, 1, stakeAmount, duration, penalty, 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(2);
+      await time.increase(duration + daysToForfeit * 24 * 60 * 60);
+
+      const [, , , keeper] = await ethers.getSigners();
+      const bounty = (stakeAmount * 200n) / 10000n;
+      const lenderShare = (stakeAmount - bounty) / 2n;
+      await lendingCircle.connect(keeper).liquidate(user1.address, 2);
+
+      expect(await lendingCircle.lenderEarnings(user2.address, token.target)).to.equal(lenderShare);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(stakeAmount - bounty - lenderShare);
+    });
+
+    it("Should offer the freed slot to the waitlist", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(1);
+      await time.increase(duration + daysToForfeit * 24 * 60 * 60);
+
+      await expect(lendingCircle.connect(owner).liquidate(user1.address, 1))
+        .to.emit(lendingCircle, "ClaimOffered")
+        .withArgs(1, user2.address, anyValue);
+    });
+
+    it("Should REVERT when there is no active borrow", async function () {
+      await expect(
+        lendingCircle.connect(user2).liquidate(user2.address, 1)
+      ).to.be.revertedWith("No active borrow for this resource");
+    });
+
+    it("Should let the admin change the bounty up to 10%", async function () {
+      await expect(lendingCircle.connect(owner).setKeeperBounty(1000))
+        .to.emit(lendingCircle, "KeeperBountyUpdated")
+        .withArgs(1000);
+      await expect(
+        lendingCircle.connect(owner).setKeeperBounty(1001)
+      ).to.be.revertedWith("Bounty cannot exceed 10%");
+      await expect(
+        lendingCircle.connect(user1).setKeeperBounty(0)
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+  });
+
+  describe("penalty curves", function () {
+    const LINEAR = 0, TIERED = 1, EXPONENTIAL = 2;
+    const HOUR = 60 * 60, DAY = 24 * HOUR;
+    let stakeAmount, rate, duration;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      rate = ethers.parseUnits("1", 18);
+      duration = 7 * DAY;
+      await lendingCircle.connect(owner).addResource("Book", 1, 1, stakeAmount, duration, rate, 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+    });
+
+    // Moves to a point past the deadline and reads the penalty there
+    async function penaltyAfter(seconds) {
+      const { deadline } = await lendingCircle.activeBorrows(user1.address, 1);
+      await time.increaseTo(deadline + BigInt(seconds));
+      return (await lendingCircle.previewReturn(user1.address, 1)).penalty;
+    }
+
+    it("Should charge per started day by default", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(0)).to.equal(0);
+      expect(await penaltyAfter(1)).to.equal(rate);
+      expect(await penaltyAfter(DAY)).to.equal(rate);
+      expect(await penaltyAfter(DAY + 1)).to.equal(rate * 2n);
+    });
+
+    it("Should charge per started hour after the grace period", async function () {
+      await lendingCircle.connect(owner).setPenaltyCurve(1, LINEAR, HOUR, 2 * HOUR, 0, 0, [], []);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(2 * HOUR)).to.equal(0);
+      expect(await penaltyAfter(2 * HOUR + 1)).to.equal(rate);
+      expect(await penaltyAfter(3 * HOUR)).to.equal(rate);
+      expect(await penaltyAfter(3 * HOUR + 1)).to.equal(rate * 2n);
+    });
+
+    it("Should switch rates at each tier's first unit", async function () {
+      const tierRates = [rate * 5n, rate * 10n];
+      await lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, 0, 0, [3, 5], tierRates);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(2 * DAY)).to.equal(rate * 2n);
+      expect(await penaltyAfter(2 * DAY + 1)).to.equal(rate * 2n + tierRates[0]);
+      expect(await penaltyAfter(4 * DAY)).to.equal(rate * 2n + tierRates[0] * 2n);
+      expect(await penaltyAfter(4 * DAY + 1)).to.equal(rate * 2n + tierRates[0] * 2n + tierRates[1]);
+    });
+
+    it("Should charge a tier starting at unit one from the first unit", async function () {
+      await lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, HOUR, 0, 0, 0, [1], [rate * 3n]);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(1)).to.equal(rate * 3n);
+      expect(await penaltyAfter(HOUR + 1)).to.equal(rate * 6n);
+    });
+
+    it("Should stay flat, then double every unit up to the cap", async function () {
+      const cap = rate * 20n;
+      await lendingCircle.connect(owner).setPenaltyCurve(1, EXPONENTIAL, HOUR, 0, cap, 2, [], []);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(2 * HOUR)).to.equal(rate * 2n);
+      expect(await penaltyAfter(2 * HOUR + 1)).to.equal(rate * 4n);
+      expect(await penaltyAfter(3 * HOUR + 1)).to.equal(rate * 8n);
+      expect(await penaltyAfter(4 * HOUR + 1)).to.equal(rate * 16n);
+      expect(await penaltyAfter(5 * HOUR + 1)).to.equal(cap);
+    });
+
+    it("Should never charge more than the stake, however long the doubling runs", async function () {
+      await lendingCircle.connect(owner).setPenaltyCurve(1, EXPONENTIAL, HOUR, 0, 0, 0, [], []);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(5 * HOUR)).to.equal(rate * 62n);
+      expect(await penaltyAfter(6 * HOUR)).to.equal(stakeAmount);
+      expect(await penaltyAfter(365 * DAY)).to.equal(stakeAmount);
+
+      await expect(lendingCircle.connect(user1).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user1.address, 0, stakeAmount);
+    });
+
+    it("Should stop at the stake instead of overflowing on huge rates", async function () {
+      await lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, HOUR, 0, 0, 0, [2], [ethers.MaxUint256 / 2n]);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(3 * HOUR + 1)).to.equal(stakeAmount);
+      await expect(lendingCircle.connect(user1).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user1.address, 0, stakeAmount);
+
+      // The default per-day charge, with a rate no multiple of which fits
+      await lendingCircle.connect(owner).addResource(
+        "Costly Book", 1, 1, stakeAmount, duration, ethers.MaxUint256, 0, "", token.target, ""
+      );
+      await token.connect(owner).mint(user2.address, stakeAmount);
+      await token.connect(user2).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user2).borrowResource(2);
+      const { deadline } = await lendingCircle.activeBorrows(user2.address, 2);
+      await time.increaseTo(deadline + BigInt(3 * DAY));
+
+      expect((await lendingCircle.previewReturn(user2.address, 2)).penalty).to.equal(stakeAmount);
+      await expect(lendingCircle.connect(owner).liquidate(user2.address, 2))
+        .to.emit(lendingCircle, "BorrowLiquidated");
+    });
+
+    it("Should liquidate a borrow once a capped curve reaches its cap", async function () {
+      const cap = rate * 20n;
+      await lendingCircle.connect(owner).setPenaltyCurve(1, EXPONENTIAL, HOUR, 0, cap, 2, [], []);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(4 * HOUR + 1)).to.equal(rate * 16n);
+      expect((await lendingCircle.previewReturn(user1.address, 1)).penaltyLimit).to.equal(cap);
+      await expect(
+        lendingCircle.connect(user2).liquidate(user1.address, 1)
+      ).to.be.revertedWith("Penalty has not reached its limit yet");
+
+      // The cap limits what a late return costs; an abandoned item still forfeits the whole stake
+      expect(await penaltyAfter(5 * HOUR + 1)).to.equal(cap);
+      const bounty = (stakeAmount * 200n) / 10000n;
+      await expect(lendingCircle.connect(user2).liquidate(user1.address, 1))
+        .to.emit(lendingCircle, "BorrowLiquidated")
+        .withArgs(1, user1.address, user2.address, stakeAmount, bounty);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(stakeAmount - bounty);
+    });
+
+    it("Should liquidate a borrow once a capped tiered curve reaches its cap", async function () {
+      const cap = rate * 12n;
+      await lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, cap, 0, [2], [rate * 10n]);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await penaltyAfter(DAY + 1)).to.equal(rate * 11n);
+      expect(await penaltyAfter(2 * DAY + 1)).to.equal(cap);
+      await expect(lendingCircle.connect(user2).liquidate(user1.address, 1))
+        .to.emit(lendingCircle, "BorrowLiquidated");
+      expect((await lendingCircle.resources(1)).currentBorrowerCount).to.equal(0);
+    });
+
+    it("Should REJECT curves that would stop charging before their limit", async function () {
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, 0, 0, [2, 5], [rate, 0])
+      ).to.be.revertedWith("Last tier must charge a penalty");
+
+      await lendingCircle.connect(owner).addResource("Free Book", 1, 1, stakeAmount, duration, 0, 0, "", token.target, "");
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(2, EXPONENTIAL, HOUR, 0, 0, 0, [], [])
+      ).to.be.revertedWith("Penalty curve needs a late penalty");
+      await lendingCircle.connect(owner).setPenaltyCurve(2, TIERED, DAY, 0, 0, 0, [3], [rate]);
+
+      // Nor can the late penalty be dropped to zero under a curve that uses it
+      await lendingCircle.connect(owner).setPenaltyCurve(1, LINEAR, DAY, 0, 0, 0, [], []);
+      await expect(
+        lendingCircle.connect(owner).updateResource(1, stakeAmount, duration, 0, 0, "")
+      ).to.be.revertedWith("Penalty curve needs a late penalty");
+    });
+
+    it("Should keep a borrow on the curve it started with", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await expect(lendingCircle.connect(owner).setPenaltyCurve(1, LINEAR, HOUR, 0, 0, 0, [], []))
+        .to.emit(lendingCircle, "PenaltyCurveUpdated")
+        .withArgs(1, 1, LINEAR, HOUR, 0);
+
+      expect(await penaltyAfter(HOUR + 1)).to.equal(rate);
+      expect(await lendingCircle.penaltyCurveOf(1)).to.equal(1);
+
+      await lendingCircle.connect(owner).clearPenaltyCurve(1);
+      expect(await lendingCircle.penaltyCurveOf(1)).to.equal(0);
+      expect((await lendingCircle.getPenaltyCurve(1)).unit).to.equal(HOUR);
+    });
+
+    it("Should REVERT on an invalid curve", async function () {
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, LINEAR, 2 * HOUR, 0, 0, 0, [], [])
+      ).to.be.revertedWith("Unit must be an hour or a day");
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, 0, 0, [], [])
+      ).to.be.revertedWith("Tiered curve needs at least one tier");
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, 0, 0, [3, 3], [rate, rate])
+      ).to.be.revertedWith("Tiers must be sorted by start");
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, 0, 0, [0], [rate])
+      ).to.be.revertedWith("Tier start must be greater than zero");
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, TIERED, DAY, 0, 0, 0, [3], [])
+      ).to.be.revertedWith("Tier arrays must have the same length");
+      await expect(
+        lendingCircle.connect(owner).setPenaltyCurve(1, LINEAR, DAY, 0, 0, 0, [3], [rate])
+      ).to.be.revertedWith("Only tiered curves take tiers");
+      await expect(
+        lendingCircle.connect(user1).setPenaltyCurve(1, LINEAR, DAY, 0, 0, 0, [], [])
+      ).to.be.revertedWith("Caller is not a curator or the lender");
+    });
+  });
+
+  describe("reward reservations", function () {
+    let stakeAmount, penalty, reward, duration;
+
+    beforeEach(async function () {
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("10", 18);
+      reward = ethers.parseUnits("5", 18);
+      duration = 7 * 24 * 60 * 60;
+      await lendingCircle.connect(owner).addResource("E-book", 1, 5, stakeAmount, duration, penalty, reward, "", token.target, "");
+
+      // The pool can back exactly one reward
+      await token.connect(owner).mint(owner.address, reward);
+      await token.connect(owner).approve(lendingCircle.target, reward);
+      await lendingCircle.connect(owner).depositToRewardPool(token.target, reward);
+
+      for (const user of [user1, user2]) {
+        await token.connect(owner).mint(user.address, stakeAmount);
+        await token.connect(user).approve(lendingCircle.target, stakeAmount);
+      }
+    });
+
+    it("Should reserve the reward when borrowing", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await lendingCircle.committedRewards(token.target)).to.equal(reward);
+      expect(await lendingCircle.freeRewardPool(token.target)).to.equal(0);
+      expect((await lendingCircle.activeBorrows(user1.address, 1)).onTimeReward).to.equal(reward);
+    });
+
+    it("Should mark a borrow the pool cannot back as earning no reward", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await expect(lendingCircle.connect(user2).borrowResource(1))
+        .to.emit(lendingCircle, "RewardNotReserved")
+        .withArgs(1, user2.address, reward);
+      expect((await lendingCircle.activeBorrows(user2.address, 1)).onTimeReward).to.equal(0);
+
+      // Returning first does not take user1's reserved reward
+      await expect(lendingCircle.connect(user2).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user2.address, stakeAmount, 0);
+      await expect(lendingCircle.connect(user1).returnResource(1))
+        .to.emit(lendingCircle, "ResourceReturned")
+        .withArgs(1, user1.address, stakeAmount + reward, 0);
+
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(0);
+      expect(await lendingCircle.committedRewards(token.target)).to.equal(0);
+    });
+
+    it("Should only allow redemptions from the free balance", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      await expect(
+        lendingCircle.connect(owner).redeemPoolShares(token.target, 1)
+      ).to.be.revertedWith("Insufficient free funds in reward pool");
+    });
+
+    it("Should release the reservation on a late return", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user1).returnResource(1);
+
+      expect(await lendingCircle.committedRewards(token.target)).to.equal(0);
+      expect(await lendingCircle.freeRewardPool(token.target)).to.equal(reward + penalty);
+      await lendingCircle.connect(owner).redeemPoolShares(token.target, reward);
+      expect(await token.balanceOf(owner.address)).to.equal(reward + penalty);
+    });
+  });
+
+  describe("reward pool shares", function () {
+    let amount, stakeAmount, penalty, reward, duration;
+
+    beforeEach(async function () {
+      amount = ethers.parseUnits("100", 18);
+      stakeAmount = ethers.parseUnits("100", 18);
+      penalty = ethers.parseUnits("10", 18);
+      reward = ethers.parseUnits("5", 18);
+      duration = 7 * 24 * 60 * 60;
+      await lendingCircle.connect(owner).addResource("Book", 1, 1, stakeAmount, duration, penalty, reward, "", token.target, "");
+
+      for (const user of [user1, user2]) {
+        await token.connect(owner).mint(user.address, amount + stakeAmount);
+        await token.connect(user).approve(lendingCircle.target, amount + stakeAmount);
+      }
+    });
+
+    it("Should let any member deposit for shares at the share price", async function () {
+      await expect(lendingCircle.connect(user1).depositToRewardPool(token.target, amount))
+        .to.emit(lendingCircle, "PoolDeposited")
+        .withArgs(token.target, user1.address, amount, amount);
+      expect(await lendingCircle.poolSharePrice(token.target)).to.equal(ethers.parseUnits("1", 18));
+
+      // A late return adds its penalty to the pool, raising the share price
+      await lendingCircle.connect(user2).borrowResource(1);
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user2).returnResource(1);
+      expect(await lendingCircle.poolSharePrice(token.target)).to.equal(ethers.parseUnits("1.1", 18));
+
+      // Later deposits buy fewer shares for the same amount
+      const shares = (amount * amount) / (amount + penalty);
+      await expect(lendingCircle.connect(user1).depositToRewardPool(token.target, amount))
+        .to.emit(lendingCircle, "PoolDeposited")
+        .withArgs(token.target, user1.address, amount, shares);
+      expect(await lendingCircle.poolShares(token.target, user1.address)).to.equal(amount + shares);
+    });
+
+    it("Should lower the share price when a reward is paid", async function () {
+      await lendingCircle.connect(user1).depositToRewardPool(token.target, amount);
+      await lendingCircle.connect(user2).borrowResource(1);
+      await lendingCircle.connect(user2).returnResource(1);
+
+      expect(await lendingCircle.poolSharePrice(token.target)).to.equal(ethers.parseUnits("0.95", 18));
+    });
+
+    it("Should redeem shares for their share of the free pool", async function () {
+      await lendingCircle.connect(user1).depositToRewardPool(token.target, amount);
+      await lendingCircle.connect(user2).borrowResource(1);
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user2).returnResource(1);
+
+      const balanceBefore = await token.balanceOf(user1.address);
+      await expect(lendingCircle.connect(user1).redeemPoolShares(token.target, amount / 2n))
+        .to.emit(lendingCircle, "PoolRedeemed")
+        .withArgs(token.target, user1.address, amount / 2n, (amount + penalty) / 2n);
+      expect(await token.balanceOf(user1.address)).to.equal(balanceBefore + (amount + penalty) / 2n);
+      expect(await lendingCircle.totalPoolShares(token.target)).to.equal(amount / 2n);
+
+      await expect(
+        lendingCircle.connect(user2).redeemPoolShares(token.target, 1)
+      ).to.be.revertedWith("Insufficient pool shares");
+    });
+
+    it("Should let holders transfer shares", async function () {
+      await lendingCircle.connect(user1).depositToRewardPool(token.target, amount);
+
+      await expect(lendingCircle.connect(user1).transferPoolShares(token.target, user2.address, amount / 4n))
+        .to.emit(lendingCircle, "PoolSharesTransferred")
+        .withArgs(token.target, user1.address, user2.address, amount / 4n);
+      expect(await lendingCircle.poolShares(token.target, user2.address)).to.equal(amount / 4n);
+
+      await lendingCircle.connect(user2).redeemPoolShares(token.target, amount / 4n);
+      await expect(
+        lendingCircle.connect(user2).transferPoolShares(token.target, user1.address, 1)
+      ).to.be.revertedWith("Insufficient pool shares");
+      await expect(
+        lendingCircle.connect(user1).transferPoolShares(token.target, ethers.ZeroAddress, 1)
+      ).to.be.revertedWith("Cannot transfer to the zero address");
+    });
+
+    it("Should let only a treasurer sweep penalty income nobody holds shares in", async function () {
+      await lendingCircle.connect(user2).borrowResource(1);
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user2).returnResource(1);
+
+      await lendingCircle.connect(owner).withdrawFromRewardPool(token.target, penalty);
+      expect(await token.balanceOf(owner.address)).to.equal(penalty);
+      await expect(
+        lendingCircle.connect(user1).withdrawFromRewardPool(token.target, 0)
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+
+    it("Should keep penalty income collected before the first deposit for the treasury", async function () {
+      await lendingCircle.connect(user2).borrowResource(1);
+      await time.increase(duration + 1);
+      await lendingCircle.connect(user2).returnResource(1);
+
+      // A tiny first deposit buys shares at the price the penalty income set,
+      // not the whole pool
+      await expect(lendingCircle.connect(user1).depositToRewardPool(token.target, 1))
+        .to.emit(lendingCircle, "PoolSharesTransferred")
+        .withArgs(token.target, ethers.ZeroAddress, lendingCircle.target, penalty);
+      expect(await lendingCircle.poolShares(token.target, user1.address)).to.equal(1);
+
+      const balanceBefore = await token.balanceOf(user1.address);
+      await lendingCircle.connect(user1).redeemPoolShares(token.target, 1);
+      expect(await token.balanceOf(user1.address)).to.equal(balanceBefore + 1n);
+
+      // The treasury's shares cover the income, and no more
+      await lendingCircle.connect(owner).withdrawFromRewardPool(token.target, penalty);
+      expect(await token.balanceOf(owner.address)).to.equal(penalty);
+      expect(await lendingCircle.poolShares(token.target, lendingCircle.target)).to.equal(0);
+      await lendingCircle.connect(user2).depositToRewardPool(token.target, amount);
+      await expect(
+        lendingCircle.connect(owner).withdrawFromRewardPool(token.target, 1)
+      ).to.be.revertedWith("Insufficient treasury shares");
+    });
+
+    it("Should write off shares once rewards drain the pool", async function () {
+      await lendingCircle.connect(user1).depositToRewardPool(token.target, reward);
+      await lendingCircle.connect(user2).borrowResource(1);
+      await lendingCircle.connect(user2).returnResource(1);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(0);
+
+      await expect(lendingCircle.connect(user2).depositToRewardPool(token.target, amount))
+        .to.emit(lendingCircle, "PoolSharesWrittenOff")
+        .withArgs(token.target, 0, reward)
+        .and.to.emit(lendingCircle, "PoolDeposited")
+        .withArgs(token.target, user2.address, amount, amount);
+      expect(await lendingCircle.poolShareEpoch(token.target)).to.equal(1);
+      expect(await lendingCircle.poolShares(token.target, user1.address)).to.equal(0);
+      expect(await lendingCircle.poolShares(token.target, user2.address)).to.equal(amount);
+      expect(await lendingCircle.totalPoolShares(token.target)).to.equal(amount);
+
+      // Rewards can be reserved from the pool again
+      await lendingCircle.connect(user1).borrowResource(1);
+      expect(await lendingCircle.committedRewards(token.target)).to.equal(reward);
+    });
+  });
+
+  describe("membership", function () {
+    const OPEN = 0, ALLOWLIST = 1, MERKLE = 2;
+    let stakeAmount, user3;
+
+    beforeEach(async function () {
+      [, , , user3] = await ethers.getSigners();
+      stakeAmount = ethers.parseUnits("10", 18);
+      await lendingCircle.connect(owner).addResource("E-book", 1, 5, stakeAmount, 86400, 0, 0, "", token.target, "");
+      for (const user of [user1, user2, user3]) {
+        await token.connect(owner).mint(user.address, stakeAmount);
+        await token.connect(user).approve(lendingCircle.target, stakeAmount);
+      }
+    });
+
+    it("Should let anyone borrow in an open circle", async function () {
+      expect(await lendingCircle.membershipMode()).to.equal(OPEN);
+      await lendingCircle.connect(user1).borrowResource(1);
+    });
+
+    it("Should limit borrowing to allowlisted members", async function () {
+      await lendingCircle.connect(owner).setMembershipMode(ALLOWLIST, ethers.ZeroHash);
+      await expect(lendingCircle.connect(owner).setMembers([user1.address], true))
+        .to.emit(lendingCircle, "MemberAdded")
+        .withArgs(user1.address);
+
+      await lendingCircle.connect(user1).borrowResource(1);
+      await expect(
+        lendingCircle.connect(user2).borrowResource(1)
+      ).to.be.revertedWith("Caller is not a member");
+      await expect(
+        lendingCircle.connect(user2).joinWaitlist(1)
+      ).to.be.revertedWith("Caller is not a member");
+    });
+
+    it("Should let invited accounts join with a Merkle proof", async function () {
+      const { root, proofs } = buildTree([user1.address, user2.address, owner.address]);
+      await expect(lendingCircle.connect(owner).setMembershipMode(MERKLE, root))
+        .to.emit(lendingCircle, "MembershipModeChanged")
+        .withArgs(MERKLE, root);
+
+      await expect(lendingCircle.connect(user2).joinCircle(proofs[user2.address]))
+        .to.emit(lendingCircle, "MemberAdded")
+        .withArgs(user2.address);
+      expect(await lendingCircle.isMember(user2.address)).to.be.true;
+      await lendingCircle.connect(user2).borrowResource(1);
+
+      await expect(
+        lendingCircle.connect(user2).joinCircle(proofs[user2.address])
+      ).to.be.revertedWith("Already a member");
+      await expect(
+        lendingCircle.connect(user3).joinCircle(proofs[user1.address])
+      ).to.be.revertedWith("Invalid invite proof");
+    });
+
+    it("Should keep removed members from borrowing or rejoining", async function () {
+      const { root, proofs } = buildTree([user1.address, user2.address]);
+      await lendingCircle.connect(owner).setMembershipMode(MERKLE, root);
+      await lendingCircle.connect(user1).joinCircle(proofs[user1.address]);
+
+      await expect(lendingCircle.connect(owner).setMembers([user1.address], false))
+        .to.emit(lendingCircle, "MemberRemoved")
+        .withArgs(user1.address);
+      await expect(
+        lendingCircle.connect(user1).borrowResource(1)
+      ).to.be.revertedWith("Caller is not a member");
+      await expect(
+        lendingCircle.connect(user1).joinCircle(proofs[user1.address])
+      ).to.be.revertedWith("Membership was revoked");
+
+      // A curator can let them back in
+      await lendingCircle.connect(owner).setMembers([user1.address], true);
+      await lendingCircle.connect(user1).borrowResource(1);
+    });
+
+    it("Should REVERT on invalid membership changes", async function () {
+      await expect(
+        lendingCircle.connect(owner).setMembershipMode(MERKLE, ethers.ZeroHash)
+      ).to.be.revertedWith("Merkle root cannot be empty");
+      await expect(
+        lendingCircle.connect(user1).joinCircle([])
+      ).to.be.revertedWith("Circle does not take invites");
+      await expect(
+        lendingCircle.connect(user1).setMembershipMode(ALLOWLIST, ethers.ZeroHash)
+      ).to.be.revertedWith("Caller is missing the required role");
+      await expect(
+        lendingCircle.connect(user1).setMembers([user1.address], true)
+      ).to.be.revertedWith("Caller is missing the required role");
+    });
+  });
+
+  describe("catalog seeding", function () {
+    const csv = [
+      "name,type,maxBorrows,stake,duration,penalty,reward,metadataURI",
+      "Cordless Drill,physical,1,80 MST,3d,5 MST,2 MST,",
+      "Design Tool Licence,digital,5,10 MST,12h,0.5 MST,0,ipfs://licence",
+    ].join("\n");
+
+    it("Should parse durations in human units", async function () {
+      expect(parseDuration("7d")).to.equal(604800n);
+      expect(parseDuration("12h")).to.equal(43200n);
+      expect(parseDuration("2w")).to.equal(1209600n);
+      expect(parseDuration("90")).to.equal(90n);
+      expect(() => parseDuration("a week")).to.throw("Invalid duration");
+    });
+
+    it("Should list a CSV catalog with human-readable amounts", async function () {
+      const { created, skipped } = await seedCatalog(lendingCircle.connect(owner), parseCatalog(csv, "csv"));
+
+      expect(created.map((resource) => resource.id)).to.deep.equal([1n, 2n]);
+      expect(skipped).to.be.empty;
+      const drill = await lendingCircle.resources(1);
+      expect(drill.stakeAmount).to.equal(ethers.parseUnits("80", 18));
+      expect(drill.borrowDuration).to.equal(3 * 86400);
+      expect(drill.latePenaltyPerDay).to.equal(ethers.parseUnits("5", 18));
+      expect(drill.stakeToken).to.equal(token.target);
+      const licence = await lendingCircle.resources(2);
+      expect(licence.resourceType).to.equal(1);
+      expect(licence.maxConcurrentBorrows).to.equal(5);
+      expect(licence.latePenaltyPerDay).to.equal(ethers.parseUnits("0.5", 18));
+      expect(licence.metadataURI).to.equal("ipfs://licence");
+    });
+
+    it("Should keep commas inside quoted CSV fields", async function () {
+      const quoted = [
+        "name,type,maxBorrows,stake,duration,penalty,reward,metadataURI,category",
+        '"Book, 2nd ed",physical,1,15 MST,7d,1 MST,0,,"Books, textbooks"',
+      ].join("\n");
+      await seedCatalog(lendingCircle.connect(owner), parseCatalog(quoted, "csv"));
+
+      const book = await lendingCircle.resources(1);
+      expect(book.name).to.equal("Book, 2nd ed");
+      expect(book.stakeAmount).to.equal(ethers.parseUnits("15", 18));
+      expect(book.borrowDuration).to.equal(7 * 86400);
+      expect(book.category).to.equal("Books, textbooks");
+
+      expect(() => parseCatalog('name,stake\n"Book, 2nd ed,15 MST', "csv")).to.throw("Line 2: quoted field is not closed");
+    });
+
+    it("Should skip resources the circle already lists", async function () {
+      await seedCatalog(lendingCircle.connect(owner), parseCatalog(csv, "csv"));
+      const catalog = parseCatalog(
+        JSON.stringify([
+          { name: "Cordless Drill", stake: "80 MST", duration: "3d" },
+          { name: "Ladder", stake: "30 MST", duration: "1d" },
+        ]),
+        "json"
+      );
+
+      const { created, skipped } = await seedCatalog(lendingCircle.connect(owner), catalog);
+      expect(created).to.deep.equal([{ id: 3n, name: "Ladder" }]);
+      expect(skipped).to.deep.equal([{ id: 1n, name: "Cordless Drill" }]);
+      expect(await lendingCircle.getResourceCount()).to.equal(3);
+    });
+
+    it("Should fund the reward pool when the catalog asks for it", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      await token.connect(owner).mint(owner.address, amount);
+      const catalog = { rewardPool: "100 MST", resources: [{ name: "Ladder", stake: "30 MST", duration: "1d" }] };
+
+      const { funded } = await seedCatalog(lendingCircle.connect(owner), catalog);
+      expect(funded.amount).to.equal(amount);
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(amount);
+      expect(await lendingCircle.poolShares(token.target, owner.address)).to.equal(amount);
+    });
+
+    it("Should REJECT the whole catalog when an entry breaks addResource's rules", async function () {
+      const catalog = {
+        resources: [
+          { name: "Ladder", stake: "30 MST", duration: "1d" },
+          { name: "Projector", type: "physical", maxBorrows: 2, stake: "30 MST", duration: "1d" },
+          { name: "Tent", stake: "30 DAI", duration: "1d" },
+          { name: "Kayak", stake: "30 MST", duration: "0d" },
+        ],
+      };
+
+      let message;
+      try {
+        await seedCatalog(lendingCircle.connect(owner), catalog);
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.include("Entry 2 (Projector): Physical items must have maxBorrows = 1");
+      expect(message).to.include("Entry 3 (Tent): Stake token DAI is not allowed in this circle");
+      expect(message).to.include("Entry 4 (Kayak): Duration must be greater than zero");
+      expect(await lendingCircle.getResourceCount()).to.equal(0);
+    });
+  });
+
+  describe("categories", function () {
+    const stakeAmount = ethers.parseUnits("10", 18);
+
+    beforeEach(async function () {
+      for (const [name, category] of [["Drill", "Tools"], ["Textbook", "Books"], ["Saw", "Tools"]]) {
+        await lendingCircle.connect(owner).addResource(name, 0, 1, stakeAmount, 86400, 0, 0, "", token.target, category);
+      }
+    });
+
+    it("Should store each resource's category", async function () {
+      expect((await lendingCircle.resources(1)).category).to.equal("Tools");
+      expect((await lendingCircle.getResourceDetails(2)).category).to.equal("Books");
+    });
+
+    it("Should let ResourceAdded be queried by category", async function () {
+      const events = await lendingCircle.queryFilter(lendingCircle.filters.ResourceAdded(null, null, null, null, "Tools"));
+      expect(events.map((event) => event.args.resourceId)).to.deep.equal([1n, 3n]);
+    });
+
+    it("Should count every borrow of a resource for sorting by popularity", async function () {
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount * 2n);
+      await lendingCircle.connect(user1).borrowResource(1);
+      await lendingCircle.connect(user1).returnResource(1);
+      await lendingCircle.connect(user1).borrowResource(1);
+
+      expect(await lendingCircle.borrowCount(1)).to.equal(2);
+      expect(await lendingCircle.borrowCount(2)).to.equal(0);
+    });
+
+    it("Should seed categories from a CSV catalog", async function () {
+      const csv = "name,stake,duration,category\nLadder,30 MST,1d,Tools\nTent,30 MST,1d,";
+      await seedCatalog(lendingCircle.connect(owner), parseCatalog(csv, "csv"));
+
+      expect((await lendingCircle.resources(4)).category).to.equal("Tools");
+      expect((await lendingCircle.resources(5)).category).to.equal("");
+    });
+  });
+
+  // Points the deployments manifest at a scratch file, so tests never touch
+  // the frontend's deployments.json
+  function useScratchManifest() {
+    const manifestPath = path.join(os.tmpdir(), `lendin-deployments-${process.pid}.json`);
+
+    beforeEach(async function () {
+      process.env.DEPLOYMENTS_MANIFEST = manifestPath;
+    });
+
+    afterEach(async function () {
+      delete process.env.DEPLOYMENTS_MANIFEST;
+      fs.rmSync(manifestPath, { force: true });
+    });
+
+    return manifestPath;
+  }
+
+  describe("deployments manifest", function () {
+    const manifestPath = useScratchManifest();
+
+    it("Should give a circle the functions of both LendingCircle and its admin module", async function () {
+      const abi = await circleAbi(hre.artifacts);
+      const functions = abi.filter((fragment) => fragment.type === "function").map((fragment) => fragment.name);
+
+      expect(functions).to.include("borrowResource");
+      expect(functions).to.include("addResource");
+      expect(functions.filter((name) => name === "pause")).to.have.lengthOf(1);
+    });
+
+    it("Should hash ABIs by their content", async function () {
+      const abi = await circleAbi(hre.artifacts);
+      expect(abiHash(abi)).to.equal(abiHash(await circleAbi(hre.artifacts)));
+      expect(abiHash(abi)).to.not.equal(abiHash(abi.slice(1)));
+    });
+
+    it("Should replace one chain's entry and leave the others alone", async function () {
+      const sepolia = { network: "sepolia", deployBlock: 1, contracts: { LendingCircle: { address: user1.address } } };
+      fs.writeFileSync(manifestPath, JSON.stringify({ 11155111: sepolia, 31337: { network: "old" } }));
+
+      expect(await writeDeployment(hre.artifacts, {
+        chainId: "31337",
+        network: "hardhat",
+        deployBlock: 7,
+        addresses: { LendingCircle: lendingCircle.target, Waitlist: user2.address },
+      })).to.equal(manifestPath);
+
+      const written = readManifest();
+      expect(written["11155111"]).to.deep.equal(sepolia);
+      const { network, deployBlock, contracts } = written["31337"];
+      expect(network).to.equal("hardhat");
+      expect(deployBlock).to.equal(7);
+      expect(contracts.LendingCircle.address).to.equal(lendingCircle.target);
+      expect(contracts.LendingCircle.abiHash).to.equal(abiHash(await circleAbi(hre.artifacts)));
+      // Contracts the frontend does not talk to only get an address
+      expect(contracts.Waitlist).to.deep.equal({ address: user2.address });
+    });
+  });
+
+  describe("findActiveBorrows", function () {
+    const stakeAmount = ethers.parseUnits("10", 18);
+
+    beforeEach(async function () {
+      for (const name of ["Drill", "Ladder"]) {
+        await lendingCircle.connect(owner).addResource(name, 0, 1, stakeAmount, 86400, 0, 0, "", token.target, "");
+      }
+      for (const user of [user1, user2]) {
+        await token.connect(owner).mint(user.address, stakeAmount * 2n);
+        await token.connect(user).approve(lendingCircle.target, stakeAmount * 2n);
+      }
+    });
+
+    it("Should list only borrows that are still active, oldest first", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      await lendingCircle.connect(user2).borrowResource(2);
+      await lendingCircle.connect(user1).returnResource(1);
+      expect((await findActiveBorrows(lendingCircle)).map((borrow) => borrow.borrower)).to.deep.equal([user2.address]);
+
+      // A second borrow of the same resource is listed once, at its new time
+      await lendingCircle.connect(user1).borrowResource(1);
+      const borrows = await findActiveBorrows(lendingCircle);
+      expect(borrows.map((borrow) => [borrow.borrower, borrow.resourceId])).to.deep.equal([
+        [user2.address, 2n],
+        [user1.address, 1n],
+      ]);
+    });
+
+    it("Should skip events before the block it starts from", async function () {
+      await lendingCircle.connect(user1).borrowResource(1);
+      const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+      await lendingCircle.connect(user2).borrowResource(2);
+
+      const borrows = await findActiveBorrows(lendingCircle, fromBlock);
+      expect(borrows.map((borrow) => borrow.borrower)).to.deep.equal([user2.address]);
+    });
+  });
+
+  describe("circle tasks", function () {
+    const stakeAmount = ethers.parseUnits("10", 18);
+    const duration = 86400;
+    const manifestPath = useScratchManifest();
+
+    // Runs a task and returns what it printed
+    async function runTask(name, args = {}) {
+      const lines = [];
+      const log = console.log;
+      console.log = (...values) => lines.push(values.join(" "));
+      try {
+        await hre.run(name, args);
+      } finally {
+        console.log = log;
+      }
+      return lines.join("\n");
+    }
+
+    beforeEach(async function () {
+      // The tasks find the circle through this chain's manifest entry
+      await writeDeployment(hre.artifacts, {
+        chainId: "31337",
+        network: "hardhat",
+        deployBlock: 0,
+        addresses: { LendingCircle: lendingCircle.target, MockStakeToken: token.target },
+      });
+
+      await lendingCircle.connect(owner).addResource("Drill", 0, 1, stakeAmount, duration, 0, 0, "", token.target, "Tools");
+      await lendingCircle.connect(owner).addResource("Ladder", 0, 1, stakeAmount, duration, 0, 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(lendingCircle.target, stakeAmount);
+      await lendingCircle.connect(user1).borrowResource(1);
+    });
+
+    it("Should list resources with their status and borrowers", async function () {
+      const rows = JSON.parse(await runTask("circle:list", { json: true }));
+      expect(rows).to.deep.equal([
+        {
+          id: "1",
+          name: "Drill",
+          type: "PHYSICAL",
+          category: "Tools",
+          status: "full",
+          borrowed: "1/1",
+          reserved: "0",
+          stake: stakeAmount.toString(),
+          borrowers: [user1.address],
+        },
+        {
+          id: "2",
+          name: "Ladder",
+          type: "PHYSICAL",
+          category: "-",
+          status: "available",
+          borrowed: "0/1",
+          reserved: "0",
+          stake: stakeAmount.toString(),
+          borrowers: [],
+        },
+      ]);
+
+      const table = await runTask("circle:list");
+      expect(table).to.include("10.0 MST");
+      expect(table).to.include(user1.address);
+    });
+
+    it("Should count slots held for waitlist claims as taken", async function () {
+      await lendingCircle.connect(user2).joinWaitlist(1);
+      await lendingCircle.connect(user1).returnResource(1);
+
+      const [drill] = JSON.parse(await runTask("circle:list", { json: true }));
+      expect(drill).to.include({ status: "full", borrowed: "0/1", reserved: "1" });
+      const report = JSON.parse(await runTask("circle:report", { json: true }));
+      expect(report.resources).to.deep.equal({ total: 2, available: 1, full: 1, delisted: 0 });
+    });
+
+    it("Should list active borrows as JSON and flag overdue ones", async function () {
+      let rows = JSON.parse(await runTask("circle:borrows", { json: true }));
+      expect(rows).to.have.lengthOf(1);
+      expect(rows[0]).to.include({ resourceId: "1", borrower: user1.address, overdue: false, hoursOverdue: "0" });
+      expect(JSON.parse(await runTask("circle:borrows", { json: true, overdue: true }))).to.be.empty;
+
+      await time.increase(duration + 3 * 3600);
+      rows = JSON.parse(await runTask("circle:borrows", { json: true, overdue: true }));
+      expect(rows).to.have.lengthOf(1);
+      expect(rows[0]).to.include({ overdue: true, hoursOverdue: "3" });
+
+      await lendingCircle.connect(user1).returnResource(1);
+      expect(await runTask("circle:borrows")).to.equal("(none)");
+    });
+
+    it("Should deposit into the reward pool and print its balance", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      await token.connect(owner).mint(owner.address, amount);
+
+      const output = await runTask("circle:pool", { action: "deposit", amount: "100 MST" });
+      expect(output).to.equal("Reward pool balance: 100.0 MST");
+      expect(await lendingCircle.rewardPool(token.target)).to.equal(amount);
+      expect(await lendingCircle.poolShares(token.target, owner.address)).to.equal(amount);
+    });
+
+    it("Should print pool changes and mints as JSON", async function () {
+      const amount = ethers.parseUnits("100", 18);
+      const minted = JSON.parse(await runTask("circle:mint", { to: owner.address, amount: "100", json: true }));
+      expect(minted).to.include({ to: owner.address, amount: amount.toString() });
+      expect(await token.balanceOf(owner.address)).to.equal(amount);
+
+      const deposit = JSON.parse(await runTask("circle:pool", { action: "deposit", amount: "100 MST", json: true }));
+      expect(deposit).to.include({ action: "deposit", token: token.target, amount: amount.toString(), balance: amount.toString() });
+      expect(deposit.transaction).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("Should REJECT pool withdrawals beyond the treasury's part in one line", async function () {
+      await token.connect(owner).mint(owner.address, stakeAmount);
+      await runTask("circle:pool", { action: "deposit", amount: "10 MST" });
+
+      let message;
+      try {
+        await runTask("circle:pool", { action: "withdraw", amount: "10 MST" });
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.include("Insufficient treasury shares");
+    });
+
+    it("Should REJECT a network with nothing deployed", async function () {
+      const entries = readManifest();
+      delete entries["31337"];
+      fs.writeFileSync(manifestPath, JSON.stringify(entries, null, 2) + "\n");
+
+      let message;
+      try {
+        await runTask("circle:list");
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.include("Nothing is deployed on hardhat (chain 31337)");
+    });
+  });
+});
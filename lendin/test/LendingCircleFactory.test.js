@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("LendingCircleFactory", function () {
+
+  let factory;
+  let implementation;
+  let circleAbi;
+  let token;
+  let owner;
+  let user1;
+  let user2;
+
+  beforeEach(async function () {
+    // 1. Get test accounts
+    [owner, user1, user2] = await ethers.getSigners();
+
+    // 2. Deploy the MockStakeToken
+    const Token = await ethers.getContractFactory("MockStakeToken");
+    token = await Token.deploy();
+    await token.waitForDeployment();
+
+    // 3. Deploy the libraries, the admin module and the LendingCircle to clone
+    const libraries = {};
+    for (const name of ["Disputes", "Penalties", "Reputation", "Waitlist"]) {
+      const Library = await ethers.getContractFactory(name);
+      const library = await Library.deploy();
+      await library.waitForDeployment();
+      libraries[name] = await library.getAddress();
+    }
+
+    const Admin = await ethers.getContractFactory("LendingCircleAdmin", {
+      libraries: { Penalties: libraries.Penalties, Reputation: libraries.Reputation },
+    });
+    const admin = await Admin.deploy();
+    await admin.waitForDeployment();
+
+    const LendingCircle = await ethers.getContractFactory("LendingCircle", { libraries });
+    implementation = await LendingCircle.deploy(token.target, admin.target);
+    await implementation.waitForDeployment();
+
+    // 4. Deploy the factory
+    const Factory = await ethers.getContractFactory("LendingCircleFactory");
+    factory = await Factory.deploy(implementation.target);
+    await factory.waitForDeployment();
+
+    // Circles forward management functions to the admin module
+    const signatures = new Set(LendingCircle.interface.fragments.map((fragment) => fragment.format("full")));
+    circleAbi = [
+      ...LendingCircle.interface.fragments,
+      ...Admin.interface.fragments.filter(
+        (fragment) => fragment.type === "function" && !signatures.has(fragment.format("full"))
+      ),
+    ];
+  });
+
+  // Creates a circle through the factory and returns it
+  async function createCircle(name, admin) {
+    await factory.connect(user1).createCircle(token.target, name, admin.address);
+    const { circle } = await factory.getCircle((await factory.getCircleCount()) - 1n);
+    return ethers.getContractAt(circleAbi, circle);
+  }
+
+  describe("createCircle", function () {
+    it("Should create and register a circle", async function () {
+      await expect(factory.connect(user1).createCircle(token.target, "Tool Shed", user2.address))
+        .to.emit(factory, "CircleCreated")
+        .withArgs(0, anyValue, user2.address, token.target, "Tool Shed");
+
+      const circle = await factory.getCircle(0);
+      expect(circle.name).to.equal("Tool Shed");
+      expect(circle.stakeToken).to.equal(token.target);
+      expect(circle.admin).to.equal(user2.address);
+      expect(await factory.isCircle(circle.circle)).to.be.true;
+      expect(await factory.getCircleCount()).to.equal(1);
+    });
+
+    it("Should give the admin every role in the new circle", async function () {
+      const circle = await createCircle("Library", user2);
+
+      expect(await circle.owner()).to.equal(user2.address);
+      expect(await circle.arbiter()).to.equal(user2.address);
+      for (const role of ["ADMIN_ROLE", "CURATOR_ROLE", "TREASURER_ROLE", "PAUSER_ROLE"]) {
+        expect(await circle.hasRole(await circle[role](), user2.address)).to.be.true;
+      }
+      expect(await circle.allowedStakeTokens(token.target)).to.be.true;
+      expect(await circle.keeperBounty()).to.equal(200);
+    });
+
+    it("Should keep each circle's storage separate", async function () {
+      const shed = await createCircle("Tool Shed", user2);
+      const licences = await createCircle("Licence Pool", user2);
+      const stakeAmount = ethers.parseUnits("100", 18);
+
+      await shed.connect(user2).addResource("Drill", 0, 1, stakeAmount, 86400, 0, 0, "", token.target, "");
+      await token.connect(owner).mint(user1.address, stakeAmount);
+      await token.connect(user1).approve(shed.target, stakeAmount);
+      await shed.connect(user1).borrowResource(1);
+
+      expect(await shed.getResourceCount()).to.equal(1);
+      expect((await shed.resources(1)).currentBorrowerCount).to.equal(1);
+      expect(await licences.getResourceCount()).to.equal(0);
+      expect(await implementation.getResourceCount()).to.equal(0);
+      expect(await token.balanceOf(shed.target)).to.equal(stakeAmount);
+    });
+
+    it("Should REVERT when initializing a circle twice", async function () {
+      const circle = await createCircle("Library", user2);
+
+      await expect(
+        circle.connect(user1).initialize(token.target, user1.address)
+      ).to.be.revertedWith("Circle is already initialized");
+      // The circle clones are made from was set up by its constructor
+      const template = await ethers.getContractAt(circleAbi, implementation.target);
+      await expect(
+        template.connect(user1).initialize(token.target, user1.address)
+      ).to.be.revertedWith("Circle is already initialized");
+    });
+
+    it("Should REVERT on an empty name or a missing admin", async function () {
+      await expect(
+        factory.createCircle(token.target, "", user2.address)
+      ).to.be.revertedWith("Name cannot be empty");
+      await expect(
+        factory.createCircle(token.target, "Library", ethers.ZeroAddress)
+      ).to.be.revertedWith("Owner cannot be the zero address");
+      await expect(
+        factory.createCircle(ethers.ZeroAddress, "Library", user2.address)
+      ).to.be.revertedWith("Token cannot be the zero address");
+    });
+  });
+
+  describe("registry", function () {
+    it("Should page through circles oldest first", async function () {
+      for (const name of ["Library", "Tool Shed", "Licence Pool"]) {
+        await factory.createCircle(token.target, name, owner.address);
+      }
+
+      const page = await factory.getCircles(1, 5);
+      expect(page.map((circle) => circle.name)).to.deep.equal(["Tool Shed", "Licence Pool"]);
+      expect(await factory.getCircles(3, 5)).to.be.empty;
+      await expect(factory.getCircle(3)).to.be.revertedWith("Circle does not exist");
+    });
+  });
+});